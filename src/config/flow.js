@@ -0,0 +1,183 @@
+// Step config for the FPL wizard (flow.json next to this file, or FLOW_CONFIG_PATH).
+// The file is watched and reloaded when it changes, so a selector FPL renamed can be fixed
+// without a deploy. A reload that fails validation is rejected and the previous config stays
+// in use; in-flight lookups keep the config they started with.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from '../utils/logger.js';
+
+const CONFIG_PATH = process.env.FLOW_CONFIG_PATH
+  ? path.resolve(process.env.FLOW_CONFIG_PATH)
+  : path.join(path.dirname(fileURLToPath(import.meta.url)), 'flow.json');
+const WATCH_INTERVAL_MS = 2000;
+
+export const STEP_ACTIONS = ['click', 'fill', 'check', 'read', 'none'];
+const LOCATOR_KINDS = ['selector', 'role', 'label', 'text', 'dom'];
+const LOAD_STATES = ['load', 'domcontentloaded', 'networkidle'];
+// "/pattern/flags" is a regular expression, anything else matches as plain text
+const REGEX_STRING = /^\/(.+)\/([a-z]*)$/s;
+
+let current = null;
+let loadedAt = null;
+let lastError = null;
+
+function checkMatcher(value, where) {
+  if (typeof value !== 'string' || !value) throw new Error(`${where} must be a non-empty string`);
+  const match = value.match(REGEX_STRING);
+  if (!match) return;
+  try {
+    new RegExp(match[1], match[2]);
+  } catch (error) {
+    throw new Error(`${where} is not a valid regular expression: ${error.message}`);
+  }
+}
+
+function checkWait(wait, where) {
+  if (wait === undefined) return;
+  if (!wait || typeof wait !== 'object') throw new Error(`${where} must be an object`);
+  if (wait.wait !== undefined && !(Number.isInteger(wait.wait) && wait.wait >= 0)) {
+    throw new Error(`${where}.wait must be a number of milliseconds`);
+  }
+  if (wait.loadState !== undefined && !LOAD_STATES.includes(wait.loadState)) {
+    throw new Error(`${where}.loadState must be one of: ${LOAD_STATES.join(', ')}`);
+  }
+}
+
+function checkStrategy(strategy, step, where) {
+  if (!strategy || typeof strategy !== 'object') throw new Error(`${where} must be an object`);
+  if (typeof strategy.name !== 'string' || !strategy.name) throw new Error(`${where}.name is required`);
+  where = `${where} (${strategy.name})`;
+  // A role's accessible name goes in `text`, so role wins when both are set
+  const kinds = strategy.role
+    ? ['role']
+    : LOCATOR_KINDS.filter(kind => strategy[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error(`${where} needs exactly one of: ${LOCATOR_KINDS.join(', ')}`);
+  }
+  const action = strategy.action || step.action;
+  if (strategy.action !== undefined && !STEP_ACTIONS.includes(strategy.action)) {
+    throw new Error(`${where}.action must be one of: ${STEP_ACTIONS.join(', ')}`);
+  }
+  if (kinds[0] === 'dom') {
+    if (action !== 'click') throw new Error(`${where}: dom strategies can only click`);
+    const { selectors, containers } = strategy.dom || {};
+    if (!Array.isArray(selectors) || !selectors.length || !selectors.every(s => typeof s === 'string')) {
+      throw new Error(`${where}.dom.selectors must be a non-empty list of CSS selectors`);
+    }
+    if (containers !== undefined && (!Array.isArray(containers) || !containers.every(s => typeof s === 'string'))) {
+      throw new Error(`${where}.dom.containers must be a list of CSS selectors`);
+    }
+    return;
+  }
+  if (kinds[0] === 'selector' && (typeof strategy.selector !== 'string' || !strategy.selector)) {
+    throw new Error(`${where}.selector must be a non-empty string`);
+  }
+  if (kinds[0] === 'label') checkMatcher(strategy.label, `${where}.label`);
+  if (strategy.text !== undefined) checkMatcher(strategy.text, `${where}.text`);
+  if (strategy.hasText !== undefined) checkMatcher(strategy.hasText, `${where}.hasText`);
+  if (strategy.then !== undefined && (typeof strategy.then?.selector !== 'string' || !strategy.then.selector)) {
+    throw new Error(`${where}.then.selector is required`);
+  }
+}
+
+// Success check run after the action: an element that must become visible (or hidden)
+function checkExpect(expect, where) {
+  if (expect === undefined) return;
+  if (!expect || typeof expect !== 'object') throw new Error(`${where} must be an object`);
+  const kinds = expect.role ? ['role'] : ['selector', 'label', 'text'].filter(kind => expect[kind] !== undefined);
+  if (kinds.length !== 1) throw new Error(`${where} needs exactly one of: selector, role, label, text`);
+  if (expect.selector !== undefined && (typeof expect.selector !== 'string' || !expect.selector)) {
+    throw new Error(`${where}.selector must be a non-empty string`);
+  }
+  if (expect.label !== undefined) checkMatcher(expect.label, `${where}.label`);
+  if (expect.text !== undefined) checkMatcher(expect.text, `${where}.text`);
+  if (expect.state !== undefined && !['visible', 'hidden'].includes(expect.state)) {
+    throw new Error(`${where}.state must be visible or hidden`);
+  }
+}
+
+function checkStep(name, step, stepNames) {
+  const where = `steps.${name}`;
+  if (!step || typeof step !== 'object') throw new Error(`${where} must be an object`);
+  if (!STEP_ACTIONS.includes(step.action)) throw new Error(`${where}.action must be one of: ${STEP_ACTIONS.join(', ')}`);
+  if (step.action === 'fill' && typeof step.value !== 'string') throw new Error(`${where}.value is required to fill`);
+  if (step.action === 'read' && (typeof step.output !== 'string' || !step.output)) throw new Error(`${where}.output is required to read`);
+  if (step.when !== undefined && typeof step.when !== 'string') throw new Error(`${where}.when must name a lookup field`);
+  for (const field of ['timeout', 'actionTimeout']) {
+    if (step[field] !== undefined && !(Number.isInteger(step[field]) && step[field] > 0)) {
+      throw new Error(`${where}.${field} must be a positive number of milliseconds`);
+    }
+  }
+  for (const required of step.requires || []) {
+    if (!stepNames.includes(required)) throw new Error(`${where}.requires unknown step: ${required}`);
+  }
+  checkWait(step.before, `${where}.before`);
+  checkWait(step.after, `${where}.after`);
+  checkExpect(step.expect, `${where}.expect`);
+  if (step.action === 'none') return;
+  if (!Array.isArray(step.strategies) || !step.strategies.length) throw new Error(`${where}.strategies must be a non-empty list`);
+  step.strategies.forEach((strategy, i) => checkStrategy(strategy, step, `${where}.strategies[${i}]`));
+}
+
+// Throws a message suitable for a 400 when the config is invalid
+export function validateFlowConfig(config) {
+  if (!config || typeof config !== 'object') throw new Error('Flow config must be a JSON object');
+  if (!Number.isInteger(config.version) || config.version < 1) throw new Error('version must be a positive integer');
+  if (!config.steps || typeof config.steps !== 'object') throw new Error('steps must be an object');
+  if (!config.flows || typeof config.flows !== 'object') throw new Error('flows must be an object');
+  const stepNames = Object.keys(config.steps);
+  for (const name of stepNames) checkStep(name, config.steps[name], stepNames);
+  for (const [flow, steps] of Object.entries(config.flows)) {
+    if (!Array.isArray(steps) || !steps.length) throw new Error(`flows.${flow} must be a non-empty list of steps`);
+    for (const name of steps) {
+      if (!config.steps[name]) throw new Error(`flows.${flow} uses unknown step: ${name}`);
+    }
+  }
+  return config;
+}
+
+// Reads and validates the file; the running config only changes when it is valid
+export function loadFlowConfig() {
+  try {
+    const config = validateFlowConfig(JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8')));
+    const previousVersion = current?.version;
+    current = config;
+    loadedAt = new Date().toISOString();
+    lastError = null;
+    if (previousVersion !== undefined && previousVersion === config.version) {
+      log.warn(`Flow config reloaded without a version bump (still version ${config.version})`);
+    }
+    log.info(`Loaded flow config version ${config.version} from ${CONFIG_PATH}`);
+    return config;
+  } catch (error) {
+    lastError = error.message;
+    throw error;
+  }
+}
+
+export function getFlowConfig() {
+  return current || loadFlowConfig();
+}
+
+export function getFlowConfigStatus() {
+  return {
+    path: CONFIG_PATH,
+    version: current?.version ?? null,
+    loadedAt,
+    lastError
+  };
+}
+
+export function watchFlowConfig() {
+  const watcher = fs.watchFile(CONFIG_PATH, { interval: WATCH_INTERVAL_MS }, (stat, previous) => {
+    if (stat.mtimeMs === previous.mtimeMs) return;
+    try {
+      loadFlowConfig();
+    } catch (error) {
+      log.error(`Rejected flow config change, still using version ${current?.version ?? 'none'}:`, error.message);
+    }
+  });
+  watcher.unref();
+  return watcher;
+}
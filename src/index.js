@@ -1,12 +1,40 @@
 import express from "express";
 import cors from "cors";
 import multer from "multer";
-import { parseCsvStream } from "./utils/csv.js";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { parseCsvStream, formatCsvRow, formatCsvLines, buildAddressAndUnitFromRow } from "./utils/csv.js";
+import { normalizeAddress } from "./utils/address.js";
 import { ensureDatabase } from "./config/database.js";
-import { runSingleLookup, runBatchLookup, runQueueBatchLookup } from "./services/batch.js";
+import { getFlowConfig, getFlowConfigStatus, loadFlowConfig, watchFlowConfig } from "./config/flow.js";
+import { summarizeResults } from "./persistence/results.js";
+import { markInterruptedJobs, searchJobs, isSortableJobField, decodeCursor } from "./persistence/jobs.js";
+import { log } from "./utils/logger.js";
+import { artifactPath } from "./utils/artifacts.js";
+import { parseDateParam, parseLimitParam, parseListParam, parseNonNegativeNumberParam } from "./utils/query.js";
+import { runSingleLookup, listAccounts, runBatchLookup, runQueueBatchLookup, resumeInterruptedJob, retryFailedRows, markJobCancelled, RETRYABLE_JOB_STATUSES } from "./services/batch.js";
+import { requestCancel, requestPause, requestResume } from "./services/control.js";
+import { iterateResultsExport, buildResultsWorkbook } from "./services/export.js";
+import { getAddressHistory } from "./services/history.js";
+import { diffJobs, diffToCsvRows, DIFF_CSV_COLUMNS } from "./services/diff.js";
+import { startScheduler, computeNextRunAt } from "./services/scheduler.js";
+import { runFlowCheck, isFlowCheckRunning, getFlowHealth, getBatchBlockReason } from "./services/diagnostics.js";
+import { requireRole, ROLES } from "./services/auth.js";
+import { createApiKey, listApiKeys, revokeApiKey, countActiveApiKeys } from "./persistence/apikeys.js";
+import { publishWebhookEvent, replayDelivery, startWebhookRetries, WEBHOOK_EVENTS } from "./services/webhooks.js";
+import { createCredentialProfile, getCredentialProfile, listCredentialProfiles, updateCredentialProfile, deleteCredentialProfile, loadCredentials, resolveCredentials } from "./persistence/credentials.js";
+import { createSchedule, getSchedule, listSchedules, updateScheduleStatus, deleteSchedule, listScheduleRuns, countSchedulesUsingCredential, countSchedulesUsingPortfolio } from "./persistence/schedules.js";
+import { createWebhook, getWebhook, listWebhooks, deleteWebhook, getDelivery, listDeliveries } from "./persistence/webhooks.js";
+import { searchAudit, iterateAudit, AUDIT_CSV_COLUMNS } from "./persistence/audit.js";
+import { getFlowCheck, listFlowChecks } from "./persistence/flowchecks.js";
+import { createPortfolio, getPortfolio, listPortfolios, listPortfolioVersions, loadPortfolioRows, savePortfolioVersion, renamePortfolio, deletePortfolio } from "./persistence/portfolios.js";
 
 const app = express();
 
+// Column lists that keep API responses in the camelCase shape the frontend expects
+const JOB_COLUMNS = "job_id AS jobId, created_at AS createdAt, status, total, processed, next_row_index AS nextRowIndex, portfolio_id AS portfolioId, portfolio_version AS portfolioVersion, credential_id AS credentialId, account";
+const RESULT_COLUMNS = "rowid AS id, job_id AS jobId, row_index AS rowIndex, address, unit, meter_status AS meterStatus, property_status AS propertyStatus, error, created_at AS createdAt, status_captured_at AS statusCapturedAt, attempts, source";
+
 // Store active connections for real-time updates
 const activeConnections = new Map();
 
@@ -17,31 +45,45 @@ function sendProgressUpdate(jobId, data) {
     try {
       connection.write(`data: ${JSON.stringify(data)}\n\n`);
     } catch (error) {
-      console.log('Error sending progress update:', error.message);
+      log.debug('Error sending progress update:', error.message);
       activeConnections.delete(jobId);
     }
   }
 }
+
+// Every progress update goes to the job's SSE stream and to any subscribed webhooks
+function publishProgress(jobId, data) {
+  sendProgressUpdate(jobId, data);
+  publishWebhookEvent(data);
+}
 const upload = multer({ storage: multer.memoryStorage() });
 
-app.use(cors());
+// Expose the paging headers from GET /api/jobs to browser clients. CORS_ORIGINS limits
+// which sites may call the API from a browser; unset allows any.
+const corsOrigins = process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean) : true;
+app.use(cors({ origin: corsOrigins, exposedHeaders: ['X-Total-Count', 'X-Next-Cursor'] }));
 app.use(express.json());
 
+// flowCheck is the latest FPL flow check; while it is failing, new batches are refused
 app.get("/health", (_req, res) => {
-  res.json({ ok: true });
+  let flowCheck = null;
+  try {
+    flowCheck = getFlowHealth(ensureDatabase());
+  } catch (error) {
+    log.error('Error reading flow check status:', error.message);
+  }
+  res.json({ ok: true, flowCheck });
 });
 
 // Server-Sent Events endpoint for real-time progress updates
-app.get("/api/jobs/:jobId/progress", (req, res) => {
+app.get("/api/jobs/:jobId/progress", requireRole("viewer", { allowQueryKey: true }), (req, res) => {
   const { jobId } = req.params;
   
-  // Set up SSE headers
+  // Set up SSE headers; CORS headers come from the cors() middleware
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
     'Cache-Control': 'no-cache',
-    'Connection': 'keep-alive',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Cache-Control'
+    'Connection': 'keep-alive'
   });
 
   // Store the connection
@@ -57,7 +99,7 @@ app.get("/api/jobs/:jobId/progress", (req, res) => {
 });
 
 // Test endpoint to check database persistence
-app.get("/api/test-db", (_req, res) => {
+app.get("/api/test-db", requireRole("admin"), (_req, res) => {
   const db = ensureDatabase();
   const testKey = `test-${Date.now()}`;
   
@@ -66,7 +108,7 @@ app.get("/api/test-db", (_req, res) => {
     .run(testKey, new Date().toISOString(), 'test', 1, 1);
   
   // Get all jobs
-  const jobs = db.prepare("SELECT * FROM jobs ORDER BY created_at DESC").all();
+  const jobs = db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs ORDER BY created_at DESC`).all();
   
   res.json({ 
     message: 'Database test',
@@ -85,126 +127,1117 @@ app.get('/', (req, res) => {
   });
 });
 
-// Single address lookup
-app.post("/api/lookup", async (req, res) => {
+// Audit trail details for lookups started by this request: the API key that asked and the FPL account used
+function auditFor(req, action, credentials) {
+  return { action, caller: { keyId: req.apiKey.keyId, name: req.apiKey.name }, credentialId: credentials.credentialId };
+}
+
+// Single address lookup with a credentialId or username/password/tin; maxAgeHours (0 forces a fresh lookup) overrides the cache age
+app.post("/api/lookup", requireRole("operator"), async (req, res) => {
   try {
-    const { username, password, tin, address, unit } = req.body || {};
-    if (!username || !password || !tin || !address) {
+    const { address, unit } = req.body || {};
+    let credentials;
+    let maxAgeHours;
+    try {
+      credentials = resolveCredentials(ensureDatabase(), req.body);
+      maxAgeHours = parseNonNegativeNumberParam(req.body?.maxAgeHours, 'maxAgeHours');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!credentials || !address) {
       return res.status(400).json({ error: "Missing required fields" });
     }
-    const result = await runSingleLookup({ username, password, tin, address, unit });
+    const { username, password, tin, account, credentialId } = credentials;
+    const result = await runSingleLookup({ username, password, tin, account, credentialId, address, unit, maxAgeHours, audit: auditFor(req, 'lookup', credentials) });
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error?.message || "Lookup failed" });
   }
 });
 
-// CSV batch lookup
-app.post("/api/batch", upload.single("file"), async (req, res) => {
+// Use queue processing for batches over 50 addresses
+function startBatch(options) {
+  return options.rows.length > 50
+    ? runQueueBatchLookup(options)
+    : runBatchLookup(options);
+}
+
+// Address rows from a CSV upload ("file") or a JSON "rows" array of CSV-shaped objects;
+// null when neither holds any rows
+async function readRowsInput(req) {
+  const rows = req.file ? await parseCsvStream(req.file.buffer) : req.body?.rows;
+  if (!Array.isArray(rows) || rows.length === 0) return null;
+  if (!rows.every(row => row && typeof row === 'object' && !Array.isArray(row))) return null;
+  return rows;
+}
+
+// CSV batch lookup with a credentialId or username/password/tin
+app.post("/api/batch", requireRole("operator"), upload.single("file"), async (req, res) => {
   try {
-    const { username, password, tin } = req.body || {};
-    if (!username || !password || !tin || !req.file) {
+    let credentials;
+    let maxAgeHours;
+    try {
+      credentials = resolveCredentials(ensureDatabase(), req.body);
+      maxAgeHours = parseNonNegativeNumberParam(req.body?.maxAgeHours, 'maxAgeHours');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!credentials || !req.file) {
       return res.status(400).json({ error: "Missing required fields or file" });
     }
+    const blockReason = getBatchBlockReason(ensureDatabase());
+    if (blockReason) {
+      return res.status(503).json({ error: blockReason, flowCheck: getFlowHealth(ensureDatabase()) });
+    }
+    const { username, password, tin, account, credentialId } = credentials;
     const rows = await parseCsvStream(req.file.buffer);
     
     // Create progress callback that sends real-time updates
     const progressCallback = (jobId, data) => {
-      sendProgressUpdate(jobId, data);
+      publishProgress(jobId, data);
     };
     
-    // Use queue processing for batches over 50 addresses
-    const result = rows.length > 50 
-      ? await runQueueBatchLookup({ username, password, tin, rows, progressCallback })
-      : await runBatchLookup({ username, password, tin, rows, progressCallback });
-    console.log('runBatchLookup returned:', result);
+    const result = await startBatch({ username, password, tin, account, credentialId, rows, maxAgeHours, audit: auditFor(req, 'batch', credentials), progressCallback });
     const jobId = typeof result === 'string' ? result : result.jobId;
-    console.log('Extracted jobId:', jobId);
-    console.log('JobId type:', typeof jobId);
-    console.log('Deployment timestamp:', new Date().toISOString());
-    console.log('Force restart timestamp:', new Date().toISOString()); // Force restart
     res.json({ jobId, message: "Batch processing started" });
   } catch (error) {
     res.status(500).json({ error: error?.message || "Batch processing failed" });
   }
 });
 
-// Get job status
-app.get("/api/jobs", (_req, res) => {
+// Turns job list/search query params into searchJobs() options; throws on bad input
+function parseJobQuery(query, { defaultLimit }) {
+  const { sort = 'createdAt', order = 'desc' } = query;
+  if (!isSortableJobField(sort)) {
+    throw new Error(`Invalid sort: ${sort}`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw new Error(`Invalid order: ${order}`);
+  }
+  let cursor;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) throw new Error('Invalid cursor');
+  }
+  return {
+    createdFrom: parseDateParam(query.createdFrom, 'createdFrom'),
+    createdTo: parseDateParam(query.createdTo, 'createdTo', { endOfDay: true }),
+    // startDate/endDate are the original status-captured range parameters
+    capturedFrom: parseDateParam(query.capturedFrom ?? query.startDate, 'capturedFrom'),
+    capturedTo: parseDateParam(query.capturedTo ?? query.endDate, 'capturedTo', { endOfDay: true }),
+    statuses: parseListParam(query.status),
+    address: query.address ? String(query.address) : undefined,
+    portfolioId: query.portfolioId ? String(query.portfolioId) : undefined,
+    sort,
+    order,
+    limit: parseLimitParam(query.limit, { defaultLimit, maxLimit: 200 }),
+    cursor
+  };
+}
+
+// Get job status; page with ?limit=&cursor= (totals and the next cursor come back in headers)
+app.get("/api/jobs", requireRole("viewer"), (req, res) => {
+  let options;
+  try {
+    options = parseJobQuery(req.query, { defaultLimit: 10 });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
   try {
     const db = ensureDatabase();
-    const jobs = db.prepare("SELECT * FROM jobs ORDER BY created_at DESC LIMIT 10").all();
+    const { jobs, total, nextCursor } = searchJobs(db, options);
+    res.set('X-Total-Count', String(total));
+    if (nextCursor) res.set('X-Next-Cursor', nextCursor);
     res.json(jobs);
   } catch (error) {
     res.status(500).json({ error: error?.message || "Failed to fetch jobs" });
   }
 });
 
+// Search jobs by created date, status-captured date, status and result address
+app.get("/api/jobs/search", requireRole("viewer"), (req, res) => {
+  let options;
+  try {
+    options = parseJobQuery(req.query, { defaultLimit: 25 });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    const db = ensureDatabase();
+    const { jobs, total, nextCursor } = searchJobs(db, options);
+    res.json({ jobs, total, limit: options.limit, nextCursor });
+  } catch (error) {
+    log.error('Error searching jobs', error);
+    res.status(500).json({ error: error?.message || "Failed to search jobs" });
+  }
+});
+
+// Job detail with a breakdown of its results by status and error
+app.get("/api/jobs/:jobId", requireRole("viewer"), (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const db = ensureDatabase();
+    const job = db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs WHERE job_id = ?`).get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    const { lastActivityAt, ...summary } = summarizeResults(db, jobId);
+
+    // Active jobs are measured up to now, finished ones up to their last stored result
+    const active = ['running', 'paused'].includes(job.status);
+    const endedAt = active ? Date.now() : new Date(lastActivityAt || job.createdAt).getTime();
+    const elapsedSeconds = Math.max(0, Math.round((endedAt - new Date(job.createdAt).getTime()) / 1000));
+    const addressesPerMinute = elapsedSeconds > 0
+      ? Math.round((summary.results / (elapsedSeconds / 60)) * 100) / 100
+      : null;
+
+    res.json({ ...job, summary: { ...summary, elapsedSeconds, addressesPerMinute } });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch job" });
+  }
+});
+
 // Get job results
-app.get("/api/jobs/:jobId/results", (req, res) => {
+app.get("/api/jobs/:jobId/results", requireRole("viewer"), (req, res) => {
   try {
     const { jobId } = req.params;
-    console.log(`Fetching results for job: ${jobId}`);
     const db = ensureDatabase();
-    const results = db.prepare("SELECT * FROM results WHERE job_id = ? ORDER BY row_index").all(jobId);
-    console.log(`Found ${results.length} results for job ${jobId}:`, results);
-    console.log(`Result job IDs:`, results.map(r => r.jobId || r.job_id));
-    console.log(`Looking for job ID:`, jobId);
+    const results = db.prepare(`SELECT ${RESULT_COLUMNS} FROM results WHERE job_id = ? ORDER BY row_index`).all(jobId);
     res.json(results);
   } catch (error) {
-    console.error(`Error fetching results for job ${req.params.jobId}:`, error);
+    log.error(`Error fetching results for job ${req.params.jobId}`, error);
     res.status(500).json({ error: error?.message || "Failed to fetch results" });
   }
 });
 
-// Search jobs by date range
-app.get("/api/jobs/search", (req, res) => {
+// Download results as CSV: the original upload columns plus the lookup outcome
+app.get("/api/jobs/:jobId/results.csv", requireRole("viewer"), async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
-    console.log(`Searching jobs from ${startDate} to ${endDate}`);
+    const { jobId } = req.params;
     const db = ensureDatabase();
-    
-    // First, let's see what jobs exist
-    const allJobs = db.prepare("SELECT * FROM jobs ORDER BY created_at DESC").all();
-    console.log(`All jobs in database:`, allJobs);
-    console.log(`Database instance info:`, db);
-    
-    // Also check what results exist
-    const allResults = db.prepare("SELECT * FROM results ORDER BY status_captured_at DESC").all();
-    console.log(`All results in database:`, allResults);
-    
-    let jobs;
-    if (startDate && endDate) {
-      // Filter by status captured date range - get unique jobs from results table
-      const jobIds = db.prepare(`
-        SELECT DISTINCT job_id 
-        FROM results 
-        WHERE status_captured_at >= ? AND status_captured_at <= ? 
-        ORDER BY status_captured_at DESC
-      `).all(startDate, endDate);
-      
-      console.log(`Found ${jobIds.length} job IDs in date range:`, jobIds);
-      
-      // Get the full job details for these job IDs
-      jobs = jobIds.map(j => jobs.get(j.job_id)).filter(j => j);
+    const job = db.prepare("SELECT job_id FROM jobs WHERE job_id = ?").get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    const { columns, rows } = iterateResultsExport(db, jobId);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="job-${jobId}-results.csv"`
+    });
+    // pipeline waits for the client to drain each chunk, so only a few rows are buffered at a time
+    await pipeline(Readable.from(formatCsvLines(columns, rows)), res);
+  } catch (error) {
+    if (res.headersSent) {
+      log.error('Error writing results CSV', error);
+      return res.destroy();
+    }
+    res.status(500).json({ error: error?.message || "Failed to export results" });
+  }
+});
+
+// Download results as an Excel workbook with a Results sheet and a Summary sheet
+app.get("/api/jobs/:jobId/results.xlsx", requireRole("viewer"), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const db = ensureDatabase();
+    const job = db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs WHERE job_id = ?`).get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    const workbook = buildResultsWorkbook(db, job);
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="job-${jobId}-results.xlsx"`
+    });
+    await workbook.xlsx.write(res);
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      log.error(`Error writing workbook for job ${req.params.jobId}`, error);
+      return res.destroy();
+    }
+    res.status(500).json({ error: error?.message || "Failed to export results" });
+  }
+});
+
+// Both jobs must exist; responds with 404 and returns false otherwise
+function ensureJobsExist(db, res, jobIds) {
+  for (const jobId of jobIds) {
+    if (!db.prepare("SELECT 1 FROM jobs WHERE job_id = ?").get(jobId)) {
+      res.status(404).json({ error: `Job not found: ${jobId}` });
+      return false;
+    }
+  }
+  return true;
+}
+
+// Properties added, removed or changed between a baseline job and a later run, as CSV.
+// Registered before the JSON route so ":otherJobId" doesn't swallow the extension.
+app.get("/api/jobs/:jobId/diff/:otherJobId.csv", requireRole("viewer"), (req, res) => {
+  try {
+    const { jobId, otherJobId } = req.params;
+    const db = ensureDatabase();
+    if (!ensureJobsExist(db, res, [jobId, otherJobId])) return;
+    const diff = diffJobs(db, jobId, otherJobId);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="diff-${jobId}-${otherJobId}.csv"`
+    });
+    res.write(formatCsvRow(DIFF_CSV_COLUMNS));
+    for (const row of diffToCsvRows(diff)) {
+      res.write(formatCsvRow(row));
+    }
+    res.end();
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to diff jobs" });
+  }
+});
+
+// Properties added, removed or changed between a baseline job and a later run
+app.get("/api/jobs/:jobId/diff/:otherJobId", requireRole("viewer"), (req, res) => {
+  try {
+    const { jobId, otherJobId } = req.params;
+    const db = ensureDatabase();
+    if (!ensureJobsExist(db, res, [jobId, otherJobId])) return;
+    res.json(diffJobs(db, jobId, otherJobId));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to diff jobs" });
+  }
+});
+
+// Cancel a running job; the background loop stops after the address it is on
+app.post("/api/jobs/:jobId/cancel", requireRole("operator"), (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const db = ensureDatabase();
+    const job = db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs WHERE job_id = ?`).get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    if (!['running', 'paused', 'interrupted'].includes(job.status)) {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+    if (!requestCancel(jobId)) {
+      // No loop owns this job in this process (e.g. the server restarted mid-run)
+      markJobCancelled({ db, jobId, total: job.total, processed: job.processed, progressCallback: publishProgress });
+      return res.json({ jobId, status: 'cancelled' });
+    }
+    res.status(202).json({ jobId, status: 'cancelling', message: "Job will stop after the current address" });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to cancel job" });
+  }
+});
+
+// Pause a running job after the current address and release the FPL session
+app.post("/api/jobs/:jobId/pause", requireRole("operator"), (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const db = ensureDatabase();
+    const job = db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs WHERE job_id = ?`).get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    if (job.status !== 'running' || !requestPause(jobId)) {
+      return res.status(409).json({ error: `Job is ${job.status} and cannot be paused` });
+    }
+    res.status(202).json({ jobId, status: 'pausing', message: "Job will pause after the current address" });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to pause job" });
+  }
+});
+
+// Resume a paused job, or restart one interrupted by a server restart; it logs in
+// again and continues from the saved row. Interrupted jobs need credentials again unless
+// they were started with a credential profile.
+app.post("/api/jobs/:jobId/resume", requireRole("operator"), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const db = ensureDatabase();
+    const job = db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs WHERE job_id = ?`).get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    if (requestResume(jobId)) {
+      return res.json({ jobId, status: 'running', nextRowIndex: job.nextRowIndex });
+    }
+    if (job.status !== 'interrupted') {
+      return res.status(409).json({ error: `Job is ${job.status} and cannot be resumed` });
+    }
+    let credentials;
+    try {
+      credentials = resolveCredentials(db, req.body, { defaultCredentialId: job.credentialId, defaultAccount: job.account });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!credentials) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+    const { username, password, tin, account, credentialId } = credentials;
+    const result = await resumeInterruptedJob({ jobId, username, password, tin, account, credentialId, audit: auditFor(req, 'resume', credentials), progressCallback: publishProgress });
+    res.json({ jobId, status: 'running', nextRowIndex: result.nextRowIndex });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to resume job" });
+  }
+});
+
+// Re-run only the rows of a finished job that ended with an error
+app.post("/api/jobs/:jobId/retry", requireRole("operator"), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const db = ensureDatabase();
+    const job = db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs WHERE job_id = ?`).get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    let credentials;
+    try {
+      credentials = resolveCredentials(db, req.body, { defaultCredentialId: job.credentialId, defaultAccount: job.account });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!credentials) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+    if (!RETRYABLE_JOB_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: `Job is ${job.status}; only completed or failed jobs can be retried` });
+    }
+    const { username, password, tin, account, credentialId } = credentials;
+    const result = await retryFailedRows({ jobId, username, password, tin, account, credentialId, audit: auditFor(req, 'retry', credentials), progressCallback: publishProgress });
+    if (result.total === 0) {
+      return res.json({ jobId, retrying: 0, message: "No failed rows to retry" });
+    }
+    res.status(202).json({ jobId, retrying: result.total, message: "Retry started" });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to retry job" });
+  }
+});
+
+// Every captured status for one property across jobs, flagging changes between captures
+app.get("/api/addresses/history", requireRole("viewer"), (req, res) => {
+  try {
+    const { address, unit } = req.query;
+    if (!address) {
+      return res.status(400).json({ error: "Missing required field: address" });
+    }
+    const db = ensureDatabase();
+    res.json(getAddressHistory(db, { address: String(address), unit: unit ? String(unit) : undefined }));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch address history" });
+  }
+});
+
+// Store an FPL login, encrypted, to reference by credentialId; the password is never returned
+app.post("/api/credentials", requireRole("admin"), (req, res) => {
+  try {
+    const { name, username, password, tin, account } = req.body || {};
+    if (!name || !username || !password || !tin) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+    const db = ensureDatabase();
+    res.status(201).json(createCredentialProfile(db, { name, username, password, tin, account }));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to save credential profile" });
+  }
+});
+
+app.get("/api/credentials", requireRole("operator"), (_req, res) => {
+  try {
+    res.json(listCredentialProfiles(ensureDatabase()));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch credential profiles" });
+  }
+});
+
+app.get("/api/credentials/:credentialId", requireRole("operator"), (req, res) => {
+  try {
+    const profile = getCredentialProfile(ensureDatabase(), req.params.credentialId);
+    if (!profile) {
+      return res.status(404).json({ error: "Credential profile not found" });
+    }
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch credential profile" });
+  }
+});
+
+// Rotate the password (or username/tin), rename, or change the account (empty clears it);
+// jobs and schedules using the profile pick it up
+app.put("/api/credentials/:credentialId", requireRole("admin"), (req, res) => {
+  try {
+    const { name, username, password, tin, account } = req.body || {};
+    if (!name && !username && !password && !tin && account === undefined) {
+      return res.status(400).json({ error: "Provide name, username, password, tin and/or account" });
+    }
+    const profile = updateCredentialProfile(ensureDatabase(), req.params.credentialId, { name, username, password, tin, account });
+    if (!profile) {
+      return res.status(404).json({ error: "Credential profile not found" });
+    }
+    log.info(`Updated credential profile ${profile.credentialId}`);
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to update credential profile" });
+  }
+});
+
+app.delete("/api/credentials/:credentialId", requireRole("admin"), (req, res) => {
+  try {
+    const { credentialId } = req.params;
+    const db = ensureDatabase();
+    const inUse = countSchedulesUsingCredential(db, credentialId);
+    if (inUse > 0) {
+      return res.status(409).json({ error: `Credential profile is used by ${inUse} schedule(s); delete them first` });
+    }
+    if (!deleteCredentialProfile(db, credentialId)) {
+      return res.status(404).json({ error: "Credential profile not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to delete credential profile" });
+  }
+});
+
+// Log in with a credential profile and list the accounts its account picker offers
+app.get("/api/accounts", requireRole("operator"), async (req, res) => {
+  try {
+    const { credentialId } = req.query;
+    if (!credentialId) {
+      return res.status(400).json({ error: "Missing required query parameter: credentialId" });
+    }
+    const credentials = loadCredentials(ensureDatabase(), String(credentialId));
+    if (!credentials) {
+      return res.status(404).json({ error: "Credential profile not found" });
+    }
+    const { username, password } = credentials;
+    const accounts = await listAccounts({ username, password });
+    res.json({ credentialId, accounts });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to list accounts" });
+  }
+});
+
+// Register an address list to be re-checked on a cron schedule, e.g. "0 6 * * 1".
+// The list is a portfolioId (its current version at each run) or uploaded rows.
+app.post("/api/schedules", requireRole("operator"), upload.single("file"), async (req, res) => {
+  try {
+    const { name, cron, credentialId, portfolioId } = req.body || {};
+    if (!name || !cron || !credentialId) {
+      return res.status(400).json({ error: "Missing required fields: name, cron, credentialId" });
+    }
+    let maxAgeHours;
+    let nextRunAt;
+    try {
+      maxAgeHours = parseNonNegativeNumberParam(req.body.maxAgeHours, 'maxAgeHours');
+      nextRunAt = computeNextRunAt(cron);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!nextRunAt) {
+      return res.status(400).json({ error: "Cron expression never matches a date" });
+    }
+    const db = ensureDatabase();
+    if (!getCredentialProfile(db, credentialId)) {
+      return res.status(400).json({ error: "Credential profile not found" });
+    }
+    let rows;
+    if (portfolioId) {
+      if (!getPortfolio(db, portfolioId)) {
+        return res.status(400).json({ error: "Portfolio not found" });
+      }
     } else {
-      // Return all jobs
-      jobs = allJobs;
+      rows = await readRowsInput(req);
+      if (!rows) {
+        return res.status(400).json({ error: "Provide a portfolioId, a CSV file or a non-empty rows array" });
+      }
     }
-    
-    console.log(`Found ${jobs.length} jobs in search:`, jobs);
-    res.json(jobs);
+    const schedule = createSchedule(db, { name, cron, credentialId, maxAgeHours, rows, portfolioId, nextRunAt });
+    log.info(`Created schedule ${schedule.scheduleId} (${name}), next run at ${nextRunAt}`);
+    res.status(201).json(schedule);
   } catch (error) {
-    console.error('Error searching jobs:', error);
-    res.status(500).json({ error: error?.message || "Failed to search jobs" });
+    res.status(500).json({ error: error?.message || "Failed to create schedule" });
+  }
+});
+
+app.get("/api/schedules", requireRole("viewer"), (_req, res) => {
+  try {
+    res.json(listSchedules(ensureDatabase()));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch schedules" });
+  }
+});
+
+app.get("/api/schedules/:scheduleId", requireRole("viewer"), (req, res) => {
+  try {
+    const schedule = getSchedule(ensureDatabase(), req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    res.json(schedule);
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch schedule" });
+  }
+});
+
+// Run history, newest first, with each job's current status
+app.get("/api/schedules/:scheduleId/runs", requireRole("viewer"), (req, res) => {
+  try {
+    const db = ensureDatabase();
+    if (!getSchedule(db, req.params.scheduleId)) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    res.json(listScheduleRuns(db, req.params.scheduleId));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch schedule runs" });
+  }
+});
+
+// Stops future runs; a job already started by the schedule keeps going
+app.post("/api/schedules/:scheduleId/pause", requireRole("operator"), (req, res) => {
+  try {
+    const db = ensureDatabase();
+    const schedule = getSchedule(db, req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    updateScheduleStatus(db, schedule.scheduleId, 'paused', null);
+    res.json(getSchedule(db, schedule.scheduleId));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to pause schedule" });
+  }
+});
+
+// Runs missed while paused are not made up; the next run is computed from now
+app.post("/api/schedules/:scheduleId/resume", requireRole("operator"), (req, res) => {
+  try {
+    const db = ensureDatabase();
+    const schedule = getSchedule(db, req.params.scheduleId);
+    if (!schedule) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    updateScheduleStatus(db, schedule.scheduleId, 'active', computeNextRunAt(schedule.cron));
+    res.json(getSchedule(db, schedule.scheduleId));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to resume schedule" });
+  }
+});
+
+app.delete("/api/schedules/:scheduleId", requireRole("operator"), (req, res) => {
+  try {
+    if (!deleteSchedule(ensureDatabase(), req.params.scheduleId)) {
+      return res.status(404).json({ error: "Schedule not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to delete schedule" });
+  }
+});
+
+// Subscribe a URL to job_completed, job_failed, address_failed and/or status_changed events
+app.post("/api/webhooks", requireRole("admin"), (req, res) => {
+  try {
+    const { url, secret } = req.body || {};
+    const events = req.body?.events ?? WEBHOOK_EVENTS;
+    if (!url || !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({ error: "url must be an http(s) URL" });
+    }
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ error: "events must be a non-empty array" });
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown events: ${unknown.join(', ')}. Expected any of: ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+    const webhook = createWebhook(ensureDatabase(), { url, events: [...new Set(events)], secret });
+    log.info(`Registered webhook ${webhook.webhookId} for ${webhook.events.join(', ')}`);
+    res.status(201).json(webhook);
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to register webhook" });
+  }
+});
+
+app.get("/api/webhooks", requireRole("admin"), (_req, res) => {
+  try {
+    res.json(listWebhooks(ensureDatabase()));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch webhooks" });
+  }
+});
+
+app.delete("/api/webhooks/:webhookId", requireRole("admin"), (req, res) => {
+  try {
+    if (!deleteWebhook(ensureDatabase(), req.params.webhookId)) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to delete webhook" });
+  }
+});
+
+// Delivery log, newest first. Filters: webhookId, event, status (pending, succeeded, failed, cancelled), jobId
+app.get("/api/webhooks/deliveries", requireRole("admin"), (req, res) => {
+  try {
+    let limit;
+    try {
+      limit = parseLimitParam(req.query.limit, { defaultLimit: 50, maxLimit: 500 });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { webhookId, event, status, jobId } = req.query;
+    res.json(listDeliveries(ensureDatabase(), { webhookId, event, status, jobId, limit }));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch webhook deliveries" });
+  }
+});
+
+app.get("/api/webhooks/deliveries/:deliveryId", requireRole("admin"), (req, res) => {
+  try {
+    const delivery = getDelivery(ensureDatabase(), req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    res.json({ ...delivery, payload: JSON.parse(delivery.payload) });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch webhook delivery" });
+  }
+});
+
+// Sends the same payload again as a new delivery
+app.post("/api/webhooks/deliveries/:deliveryId/replay", requireRole("admin"), (req, res) => {
+  try {
+    const db = ensureDatabase();
+    const delivery = getDelivery(db, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    if (!getWebhook(db, delivery.webhookId)) {
+      return res.status(409).json({ error: "The webhook for this delivery has been deleted" });
+    }
+    const deliveryId = replayDelivery(db, delivery);
+    res.status(202).json({ deliveryId, replayOf: delivery.deliveryId });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to replay webhook delivery" });
+  }
+});
+
+// Create a portfolio from a CSV upload ("file") or JSON "rows"; it starts at version 1
+app.post("/api/portfolios", requireRole("operator"), upload.single("file"), async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    if (!name) {
+      return res.status(400).json({ error: "Missing required field: name" });
+    }
+    const rows = await readRowsInput(req);
+    if (!rows) {
+      return res.status(400).json({ error: "Provide a CSV file or a non-empty rows array" });
+    }
+    const portfolio = createPortfolio(ensureDatabase(), { name, rows });
+    log.info(`Created portfolio ${portfolio.portfolioId} (${name}) with ${rows.length} addresses`);
+    res.status(201).json(portfolio);
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to create portfolio" });
+  }
+});
+
+app.get("/api/portfolios", requireRole("viewer"), (_req, res) => {
+  try {
+    res.json(listPortfolios(ensureDatabase()));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch portfolios" });
+  }
+});
+
+// Portfolio with the rows of its current version, or of ?version=N
+app.get("/api/portfolios/:portfolioId", requireRole("viewer"), (req, res) => {
+  try {
+    const db = ensureDatabase();
+    const portfolio = getPortfolio(db, req.params.portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    const version = req.query.version !== undefined ? Number(req.query.version) : portfolio.version;
+    const rows = loadPortfolioRows(db, portfolio.portfolioId, version);
+    if (!rows) {
+      return res.status(404).json({ error: `Portfolio has no version ${req.query.version}` });
+    }
+    res.json({ ...portfolio, rowsVersion: version, rows });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch portfolio" });
+  }
+});
+
+app.get("/api/portfolios/:portfolioId/versions", requireRole("viewer"), (req, res) => {
+  try {
+    const db = ensureDatabase();
+    if (!getPortfolio(db, req.params.portfolioId)) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    res.json(listPortfolioVersions(db, req.params.portfolioId));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch portfolio versions" });
+  }
+});
+
+// Rename and/or replace all rows; replacing the rows creates a new version
+app.put("/api/portfolios/:portfolioId", requireRole("operator"), upload.single("file"), async (req, res) => {
+  try {
+    const db = ensureDatabase();
+    let portfolio = getPortfolio(db, req.params.portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    const { name } = req.body || {};
+    const rows = await readRowsInput(req);
+    if (!name && !rows) {
+      return res.status(400).json({ error: "Provide a new name, a CSV file or a non-empty rows array" });
+    }
+    if (name) portfolio = renamePortfolio(db, portfolio.portfolioId, name);
+    if (rows) portfolio = savePortfolioVersion(db, portfolio.portfolioId, rows);
+    res.json(portfolio);
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to update portfolio" });
+  }
+});
+
+// Append rows as a new version
+app.post("/api/portfolios/:portfolioId/rows", requireRole("operator"), upload.single("file"), async (req, res) => {
+  try {
+    const db = ensureDatabase();
+    const portfolio = getPortfolio(db, req.params.portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    const rows = await readRowsInput(req);
+    if (!rows) {
+      return res.status(400).json({ error: "Provide a CSV file or a non-empty rows array" });
+    }
+    const current = loadPortfolioRows(db, portfolio.portfolioId, portfolio.version);
+    res.json(savePortfolioVersion(db, portfolio.portfolioId, [...current, ...rows]));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to add portfolio rows" });
+  }
+});
+
+// Remove rows as a new version. JSON body: rowIndexes (positions in the current version)
+// and/or addresses ([{ address, unit }], matched after normalization)
+app.delete("/api/portfolios/:portfolioId/rows", requireRole("operator"), (req, res) => {
+  try {
+    const db = ensureDatabase();
+    const portfolio = getPortfolio(db, req.params.portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    const { rowIndexes = [], addresses = [] } = req.body || {};
+    if (!Array.isArray(rowIndexes) || !Array.isArray(addresses) || (rowIndexes.length === 0 && addresses.length === 0)) {
+      return res.status(400).json({ error: "Provide rowIndexes and/or addresses arrays" });
+    }
+    const removeIndexes = new Set(rowIndexes.map(Number));
+    const removeKeys = new Set(addresses.map(a => normalizeAddress(a?.address, a?.unit)));
+    const current = loadPortfolioRows(db, portfolio.portfolioId, portfolio.version);
+    const remaining = current.filter((row, rowIndex) => {
+      if (removeIndexes.has(rowIndex)) return false;
+      const { address, unit } = buildAddressAndUnitFromRow(row);
+      return !removeKeys.has(normalizeAddress(address, unit));
+    });
+    if (remaining.length === current.length) {
+      return res.status(400).json({ error: "No rows matched" });
+    }
+    if (remaining.length === 0) {
+      return res.status(400).json({ error: "Cannot remove every row; delete the portfolio instead" });
+    }
+    res.json({ ...savePortfolioVersion(db, portfolio.portfolioId, remaining), removed: current.length - remaining.length });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to remove portfolio rows" });
+  }
+});
+
+// Jobs already run from the portfolio are kept
+app.delete("/api/portfolios/:portfolioId", requireRole("operator"), (req, res) => {
+  try {
+    const { portfolioId } = req.params;
+    const db = ensureDatabase();
+    const inUse = countSchedulesUsingPortfolio(db, portfolioId);
+    if (inUse > 0) {
+      return res.status(409).json({ error: `Portfolio is used by ${inUse} schedule(s); delete them first` });
+    }
+    if (!deletePortfolio(db, portfolioId)) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to delete portfolio" });
+  }
+});
+
+// Start a batch from the current version, or from an earlier "version"
+app.post("/api/portfolios/:portfolioId/run", requireRole("operator"), async (req, res) => {
+  try {
+    const db = ensureDatabase();
+    let credentials;
+    let maxAgeHours;
+    try {
+      credentials = resolveCredentials(db, req.body);
+      maxAgeHours = parseNonNegativeNumberParam(req.body?.maxAgeHours, 'maxAgeHours');
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!credentials) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+    const { username, password, tin, account, credentialId } = credentials;
+    const portfolio = getPortfolio(db, req.params.portfolioId);
+    if (!portfolio) {
+      return res.status(404).json({ error: "Portfolio not found" });
+    }
+    const version = req.body.version !== undefined ? Number(req.body.version) : portfolio.version;
+    const rows = loadPortfolioRows(db, portfolio.portfolioId, version);
+    if (!rows) {
+      return res.status(400).json({ error: `Portfolio has no version ${req.body.version}` });
+    }
+    // Versions saved before empty lists were rejected can still have no rows
+    if (rows.length === 0) {
+      return res.status(400).json({ error: `Portfolio version ${version} has no rows` });
+    }
+    const blockReason = getBatchBlockReason(db);
+    if (blockReason) {
+      return res.status(503).json({ error: blockReason, flowCheck: getFlowHealth(db) });
+    }
+    const { jobId } = await startBatch({
+      username, password, tin, account, credentialId, rows, maxAgeHours,
+      portfolio: { portfolioId: portfolio.portfolioId, version },
+      audit: auditFor(req, 'batch', credentials),
+      progressCallback: publishProgress
+    });
+    log.info(`Started job ${jobId} from portfolio ${portfolio.portfolioId} v${version}`);
+    res.json({ jobId, portfolioId: portfolio.portfolioId, portfolioVersion: version, message: "Batch processing started" });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to run portfolio" });
+  }
+});
+
+// Create an API key; the key is only returned in this response
+app.post("/api/keys", requireRole("admin"), (req, res) => {
+  try {
+    const { name, role } = req.body || {};
+    if (!name || !ROLES.includes(role)) {
+      return res.status(400).json({ error: `Provide a name and a role (${ROLES.join(', ')})` });
+    }
+    const apiKey = createApiKey(ensureDatabase(), { name, role });
+    log.info(`Created ${role} API key ${apiKey.keyId} (${name})`);
+    res.status(201).json(apiKey);
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to create API key" });
+  }
+});
+
+app.get("/api/keys", requireRole("admin"), (_req, res) => {
+  try {
+    res.json(listApiKeys(ensureDatabase()));
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch API keys" });
+  }
+});
+
+// Revoked keys stay listed with revokedAt set
+app.delete("/api/keys/:keyId", requireRole("admin"), (req, res) => {
+  try {
+    if (!revokeApiKey(ensureDatabase(), req.params.keyId)) {
+      return res.status(404).json({ error: "API key not found or already revoked" });
+    }
+    log.info(`Revoked API key ${req.params.keyId}`);
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to revoke API key" });
+  }
+});
+
+const AUDIT_ACTIONS = ['lookup', 'batch', 'resume', 'retry', 'flow_check'];
+const AUDIT_OUTCOMES = ['succeeded', 'failed'];
+
+// Shared filters for the audit log and its CSV export; throws a message suitable for a 400
+function parseAuditQuery(query) {
+  if (query.action && !AUDIT_ACTIONS.includes(query.action)) {
+    throw new Error(`Invalid action: expected one of ${AUDIT_ACTIONS.join(', ')}`);
+  }
+  if (query.outcome && !AUDIT_OUTCOMES.includes(query.outcome)) {
+    throw new Error(`Invalid outcome: expected one of ${AUDIT_OUTCOMES.join(', ')}`);
+  }
+  let before;
+  if (query.before !== undefined && query.before !== '') {
+    before = Number(query.before);
+    if (!Number.isInteger(before) || before < 1) {
+      throw new Error('Invalid before: expected an audit id');
+    }
+  }
+  return {
+    from: parseDateParam(query.from, 'from'),
+    to: parseDateParam(query.to, 'to', { endOfDay: true }),
+    action: query.action || undefined,
+    outcome: query.outcome || undefined,
+    callerKeyId: query.callerKeyId ? String(query.callerKeyId) : undefined,
+    scheduleId: query.scheduleId ? String(query.scheduleId) : undefined,
+    credentialId: query.credentialId ? String(query.credentialId) : undefined,
+    jobId: query.jobId ? String(query.jobId) : undefined,
+    address: query.address ? String(query.address) : undefined,
+    limit: parseLimitParam(query.limit, { defaultLimit: 100, maxLimit: 1000 }),
+    before
+  };
+}
+
+// Who looked up which addresses with which FPL account, newest first; page with ?before=<nextBefore>
+app.get("/api/audit", requireRole("admin"), (req, res) => {
+  let options;
+  try {
+    options = parseAuditQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    const { entries, total, nextBefore } = searchAudit(ensureDatabase(), options);
+    res.json({ entries, total, limit: options.limit, nextBefore });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch audit log" });
+  }
+});
+
+// Every audit entry matching the same filters, oldest first, as CSV
+app.get("/api/audit.csv", requireRole("admin"), (req, res) => {
+  let options;
+  try {
+    options = parseAuditQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    // The export ignores limit and before: it always covers every matching entry
+    const entries = iterateAudit(ensureDatabase(), options);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': 'attachment; filename="audit-log.csv"'
+    });
+    res.write(formatCsvRow(AUDIT_CSV_COLUMNS));
+    for (const entry of entries) {
+      res.write(formatCsvRow(AUDIT_CSV_COLUMNS.map(column => entry[column])));
+    }
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      log.error('Error writing audit CSV', error);
+      return res.destroy();
+    }
+    res.status(500).json({ error: error?.message || "Failed to export audit log" });
+  }
+});
+
+// The step config driving the FPL flow, with the version in use and any rejected reload
+app.get("/api/flow", requireRole("operator"), (_req, res) => {
+  try {
+    res.json({ ...getFlowConfigStatus(), config: getFlowConfig() });
+  } catch (error) {
+    res.status(500).json({ ...getFlowConfigStatus(), error: error?.message || "Failed to load flow config" });
+  }
+});
+
+// Reloads the step config now instead of waiting for the file watcher
+app.post("/api/flow/reload", requireRole("admin"), (_req, res) => {
+  try {
+    loadFlowConfig();
+  } catch (error) {
+    return res.status(400).json({ ...getFlowConfigStatus(), error: error.message });
+  }
+  res.json(getFlowConfigStatus());
+});
+
+// Flow canary: logs in and walks the whole FPL flow for a test address (FLOW_CHECK_ADDRESS or
+// `address`) with FLOW_CHECK_CREDENTIAL_ID or the request's credentials, and reports every step
+app.post("/api/diagnostics/flow-check", requireRole("operator"), async (req, res) => {
+  try {
+    const db = ensureDatabase();
+    let credentials;
+    try {
+      credentials = resolveCredentials(db, req.body, { defaultCredentialId: process.env.FLOW_CHECK_CREDENTIAL_ID });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const address = req.body?.address || process.env.FLOW_CHECK_ADDRESS;
+    const unit = req.body?.address ? req.body.unit : process.env.FLOW_CHECK_UNIT;
+    if (!credentials || !address) {
+      return res.status(400).json({ error: "Missing credentials or test address (set FLOW_CHECK_CREDENTIAL_ID and FLOW_CHECK_ADDRESS, or pass them)" });
+    }
+    if (isFlowCheckRunning()) {
+      return res.status(409).json({ error: "A flow check is already running" });
+    }
+    const { username, password, tin, account, credentialId } = credentials;
+    const caller = { keyId: req.apiKey.keyId, name: req.apiKey.name };
+    const check = await runFlowCheck({ username, password, tin, account, credentialId, address, unit, caller });
+    res.json(check);
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Flow check failed to run" });
+  }
+});
+
+// Flow check history, newest first
+app.get("/api/diagnostics/flow-checks", requireRole("viewer"), (req, res) => {
+  try {
+    let limit;
+    try {
+      limit = parseLimitParam(req.query.limit, { defaultLimit: 20, maxLimit: 200 });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.json({ checks: listFlowChecks(ensureDatabase(), { limit }), limit });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch flow checks" });
+  }
+});
+
+app.get("/api/diagnostics/flow-checks/:checkId", requireRole("viewer"), (req, res) => {
+  try {
+    const check = getFlowCheck(ensureDatabase(), Number(req.params.checkId));
+    if (!check) {
+      return res.status(404).json({ error: "Flow check not found" });
+    }
+    res.json(check);
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch flow check" });
+  }
+});
+
+// Screenshot of the check's first failing step (login and TIN fields are masked)
+app.get("/api/diagnostics/flow-checks/:checkId/screenshot", requireRole("viewer"), (req, res) => {
+  try {
+    const check = getFlowCheck(ensureDatabase(), Number(req.params.checkId));
+    if (!check?.screenshot) {
+      return res.status(404).json({ error: "Screenshot not found" });
+    }
+    res.sendFile(artifactPath(check.screenshot), error => {
+      if (error && !res.headersSent) res.status(404).json({ error: "Screenshot not found" });
+    });
+  } catch (error) {
+    res.status(500).json({ error: error?.message || "Failed to fetch screenshot" });
   }
 });
 
 const PORT = process.env.PORT || 8080;
 
-ensureDatabase();
+const interrupted = markInterruptedJobs(ensureDatabase());
+if (interrupted > 0) {
+  log.info(`Marked ${interrupted} unfinished jobs as interrupted; resume them with POST /api/jobs/:jobId/resume`);
+}
+
+if (!process.env.ADMIN_API_KEY && countActiveApiKeys(ensureDatabase()) === 0) {
+  log.warn('No API keys exist and ADMIN_API_KEY is not set; every /api route will answer 401 until one is configured');
+}
+
+try {
+  loadFlowConfig();
+} catch (error) {
+  log.error('Invalid flow config; lookups will fail until it is fixed:', error.message);
+}
+watchFlowConfig();
+
+startScheduler({ progressCallback: publishProgress });
+startWebhookRetries();
 
 app.listen(PORT, '0.0.0.0', () => {
-  // eslint-disable-next-line no-console
-  console.log(`[server] listening on http://0.0.0.0:${PORT}`);
+  log.info(`[server] listening on http://0.0.0.0:${PORT}`);
 });
\ No newline at end of file
@@ -0,0 +1,52 @@
+// API keys for the HTTP API. Only a hash of each key is stored; the key itself is
+// returned once, when it is created.
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+
+const KEY_COLUMNS = `
+  key_id AS keyId, name, role, key_prefix AS keyPrefix, created_at AS createdAt,
+  last_used_at AS lastUsedAt, revoked_at AS revokedAt
+`;
+
+// last_used_at is only rewritten when it is older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export function hashApiKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+export function createApiKey(db, { name, role }) {
+  const keyId = uuidv4();
+  const key = `fpl_${crypto.randomBytes(32).toString("base64url")}`;
+  db.prepare("INSERT INTO api_keys(key_id, name, role, key_hash, key_prefix, created_at) VALUES (?, ?, ?, ?, ?, ?)")
+    .run(keyId, name, role, hashApiKey(key), key.slice(0, 12), new Date().toISOString());
+  return { ...getApiKey(db, keyId), key };
+}
+
+export function getApiKey(db, keyId) {
+  return db.prepare(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE key_id = ?`).get(keyId) || null;
+}
+
+export function listApiKeys(db) {
+  return db.prepare(`SELECT ${KEY_COLUMNS} FROM api_keys ORDER BY created_at DESC`).all();
+}
+
+export function countActiveApiKeys(db) {
+  return db.prepare("SELECT COUNT(*) AS count FROM api_keys WHERE revoked_at IS NULL").get().count;
+}
+
+// The active key matching a presented key, or null; records when it was last used
+export function findActiveApiKey(db, key) {
+  const apiKey = db.prepare(`SELECT ${KEY_COLUMNS} FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL`).get(hashApiKey(key));
+  if (!apiKey) return null;
+  const now = Date.now();
+  db.prepare("UPDATE api_keys SET last_used_at = ? WHERE key_id = ? AND (last_used_at IS NULL OR last_used_at < ?)")
+    .run(new Date(now).toISOString(), apiKey.keyId, new Date(now - LAST_USED_RESOLUTION_MS).toISOString());
+  return apiKey;
+}
+
+// Returns false when the key doesn't exist or was already revoked
+export function revokeApiKey(db, keyId) {
+  return db.prepare("UPDATE api_keys SET revoked_at = ? WHERE key_id = ? AND revoked_at IS NULL")
+    .run(new Date().toISOString(), keyId).changes > 0;
+}
@@ -0,0 +1,99 @@
+// Append-only audit trail of lookups: who ran them, with which FPL account, and what came back
+
+const AUDIT_COLUMNS = `
+  audit_id AS auditId, occurred_at AS occurredAt, action, caller_key_id AS callerKeyId, caller_name AS callerName,
+  schedule_id AS scheduleId, credential_id AS credentialId, tin, job_id AS jobId, row_index AS rowIndex,
+  address, unit, source, outcome, error
+`;
+
+export const AUDIT_CSV_COLUMNS = ['occurredAt', 'action', 'callerKeyId', 'callerName', 'scheduleId', 'credentialId', 'tin', 'jobId', 'rowIndex', 'address', 'unit', 'source', 'outcome', 'error'];
+
+// Keeps only the last four digits: 12-3456789 -> **-***6789
+export function maskTin(tin) {
+  if (!tin) return null;
+  return String(tin).replace(/\d(?=(?:\D*\d){4})/g, '*');
+}
+
+// caller is { keyId, name } for API keys, or { keyId: null, name, scheduleId } for scheduled runs.
+// An entry with an error is recorded as failed.
+export function recordAudit(db, { action, caller, credentialId, tin, jobId, rowIndex, address, unit, source, error }) {
+  db.prepare(`
+    INSERT INTO audit_log(occurred_at, action, caller_key_id, caller_name, schedule_id, credential_id, tin, job_id, row_index, address, unit, source, outcome, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    new Date().toISOString(),
+    action,
+    caller?.keyId ?? null,
+    caller?.name ?? null,
+    caller?.scheduleId ?? null,
+    credentialId ?? null,
+    maskTin(tin),
+    jobId ?? null,
+    rowIndex ?? null,
+    address ?? null,
+    unit || null,
+    source ?? null,
+    error ? 'failed' : 'succeeded',
+    error || null
+  );
+}
+
+function buildFilter({ from, to, action, callerKeyId, scheduleId, credentialId, jobId, outcome, address }) {
+  const where = [];
+  const params = {};
+  if (from) {
+    where.push('occurred_at >= @from');
+    params.from = from;
+  }
+  if (to) {
+    where.push('occurred_at <= @to');
+    params.to = to;
+  }
+  for (const [name, column, value] of [
+    ['action', 'action', action],
+    ['callerKeyId', 'caller_key_id', callerKeyId],
+    ['scheduleId', 'schedule_id', scheduleId],
+    ['credentialId', 'credential_id', credentialId],
+    ['jobId', 'job_id', jobId],
+    ['outcome', 'outcome', outcome]
+  ]) {
+    if (value) {
+      where.push(`${column} = @${name}`);
+      params[name] = value;
+    }
+  }
+  if (address) {
+    where.push(`address LIKE @address ESCAPE '\\'`);
+    params.address = `%${address.replace(/[\\%_]/g, '\\$&')}%`;
+  }
+  return { where, params };
+}
+
+// Newest first. Pass the returned nextBefore as `before` to get the next page (null on the last).
+export function searchAudit(db, { limit = 100, before, ...filters } = {}) {
+  const { where, params } = buildFilter(filters);
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM audit_log ${where.length ? `WHERE ${where.join(' AND ')}` : ''}`).get(params);
+  if (before) {
+    where.push('audit_id < @before');
+    params.before = before;
+  }
+  const rows = db.prepare(`
+    SELECT ${AUDIT_COLUMNS} FROM audit_log
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY audit_id DESC
+    LIMIT @limit
+  `).all({ ...params, limit: limit + 1 });
+  const hasMore = rows.length > limit;
+  const entries = hasMore ? rows.slice(0, limit) : rows;
+  return { entries, total, nextBefore: hasMore ? entries[entries.length - 1].auditId : null };
+}
+
+// Every matching entry, oldest first, without loading them all at once (for CSV export)
+export function iterateAudit(db, filters = {}) {
+  const { where, params } = buildFilter(filters);
+  return db.prepare(`
+    SELECT ${AUDIT_COLUMNS} FROM audit_log
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY audit_id
+  `).iterate(params);
+}
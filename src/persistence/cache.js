@@ -0,0 +1,50 @@
+// Address-level status cache, keyed on the normalized address + unit
+import { normalizeAddress } from "../utils/address.js";
+
+// Max age applied when a request doesn't pass maxAgeHours; 0 turns the cache off
+export const DEFAULT_CACHE_MAX_AGE_HOURS = Number(process.env.CACHE_MAX_AGE_HOURS ?? 24);
+
+// Returns the cached status when it is younger than maxAgeHours, otherwise null
+export function getCachedStatus(db, address, unit, maxAgeHours = DEFAULT_CACHE_MAX_AGE_HOURS) {
+  if (!(maxAgeHours > 0)) return null;
+  const cutoff = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000).toISOString();
+  const row = db.prepare(`
+    SELECT meter_status, property_status, captured_at, job_id
+    FROM address_cache WHERE address_key = ? AND captured_at >= ?
+  `).get(normalizeAddress(address, unit), cutoff);
+  if (!row) return null;
+  return {
+    meterStatus: row.meter_status,
+    propertyStatus: row.property_status,
+    statusCapturedAt: row.captured_at,
+    cachedFromJobId: row.job_id
+  };
+}
+
+// Most recent status ever captured for the address, however old; null if never looked up
+export function getLastKnownStatus(db, address, unit) {
+  const row = db.prepare("SELECT meter_status, property_status, captured_at, job_id FROM address_cache WHERE address_key = ?")
+    .get(normalizeAddress(address, unit));
+  if (!row) return null;
+  return {
+    meterStatus: row.meter_status,
+    propertyStatus: row.property_status,
+    statusCapturedAt: row.captured_at,
+    jobId: row.job_id
+  };
+}
+
+export function saveCachedStatus(db, { address, unit, meterStatus, propertyStatus, statusCapturedAt, jobId }) {
+  db.prepare(`
+    INSERT INTO address_cache(address_key, address, unit, meter_status, property_status, captured_at, job_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(address_key) DO UPDATE SET
+      address = excluded.address,
+      unit = excluded.unit,
+      meter_status = excluded.meter_status,
+      property_status = excluded.property_status,
+      captured_at = excluded.captured_at,
+      job_id = excluded.job_id
+    WHERE excluded.captured_at >= address_cache.captured_at
+  `).run(normalizeAddress(address, unit), address, unit || null, meterStatus, propertyStatus, statusCapturedAt, jobId || null);
+}
@@ -0,0 +1,72 @@
+// Credential profiles: an FPL username/password/TIN stored encrypted under a name, plus the
+// account to select after login (not secret, so stored in the clear)
+import { v4 as uuidv4 } from "uuid";
+import { encryptSecret, decryptSecret } from "../utils/secrets.js";
+import { deleteFplSession } from "./sessions.js";
+
+// Never includes the secret; safe to return from the API
+const PROFILE_COLUMNS = "credential_id AS credentialId, name, account, created_at AS createdAt, updated_at AS updatedAt";
+
+export function createCredentialProfile(db, { name, username, password, tin, account }) {
+  const credentialId = uuidv4();
+  const now = new Date().toISOString();
+  db.prepare("INSERT INTO credential_profiles(credential_id, name, secret, account, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)")
+    .run(credentialId, name, encryptSecret(JSON.stringify({ username, password, tin })), account || null, now, now);
+  return getCredentialProfile(db, credentialId);
+}
+
+export function getCredentialProfile(db, credentialId) {
+  return db.prepare(`SELECT ${PROFILE_COLUMNS} FROM credential_profiles WHERE credential_id = ?`).get(credentialId) || null;
+}
+
+export function listCredentialProfiles(db) {
+  return db.prepare(`SELECT ${PROFILE_COLUMNS} FROM credential_profiles ORDER BY name`).all();
+}
+
+// Decrypted { username, password, tin } plus the profile's account, or null when the profile doesn't exist
+export function loadCredentials(db, credentialId) {
+  const row = db.prepare("SELECT secret, account FROM credential_profiles WHERE credential_id = ?").get(credentialId);
+  if (!row) return null;
+  return { ...JSON.parse(decryptSecret(row.secret)), account: row.account };
+}
+
+// Rotate any of username/password/tin and/or rename; omitted fields keep their stored value.
+// An empty account clears it.
+export function updateCredentialProfile(db, credentialId, { name, username, password, tin, account }) {
+  const current = loadCredentials(db, credentialId);
+  if (!current) return null;
+  const secret = {
+    username: username || current.username,
+    password: password || current.password,
+    tin: tin || current.tin
+  };
+  db.prepare("UPDATE credential_profiles SET name = COALESCE(?, name), secret = ?, account = ?, updated_at = ? WHERE credential_id = ?")
+    .run(name || null, encryptSecret(JSON.stringify(secret)), account === undefined ? current.account : account || null, new Date().toISOString(), credentialId);
+  // A saved login belongs to the old username/password
+  if (secret.username !== current.username || secret.password !== current.password) deleteFplSession(db, credentialId);
+  return getCredentialProfile(db, credentialId);
+}
+
+// FPL login for an API request: a stored profile (credentialId) or raw username/password/tin.
+// Returns null when neither is given; throws a message for a 400 when the profile doesn't exist.
+// defaultCredentialId is used when the body has neither, e.g. the profile a job was started with.
+// account (the FPL account to select) comes from the body, then defaultAccount, then the profile;
+// null leaves it to FPL_ACCOUNT.
+export function resolveCredentials(db, body, { defaultCredentialId, defaultAccount } = {}) {
+  const { credentialId, username, password, tin, account } = body || {};
+  if (!credentialId && username && password && tin) {
+    return { username, password, tin, credentialId: null, account: account || defaultAccount || null };
+  }
+  const profileId = credentialId || defaultCredentialId;
+  if (!profileId) return null;
+  const credentials = loadCredentials(db, profileId);
+  if (!credentials) {
+    throw new Error("Credential profile not found");
+  }
+  return { ...credentials, credentialId: profileId, account: account || defaultAccount || credentials.account || null };
+}
+
+export function deleteCredentialProfile(db, credentialId) {
+  deleteFplSession(db, credentialId);
+  return db.prepare("DELETE FROM credential_profiles WHERE credential_id = ?").run(credentialId).changes > 0;
+}
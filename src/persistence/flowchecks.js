@@ -0,0 +1,46 @@
+// Flow canary results, newest first; the latest one decides whether new batches may start
+
+const CHECK_COLUMNS = `
+  check_id AS checkId, started_at AS startedAt, finished_at AS finishedAt, ok, failed_step AS failedStep,
+  error, flow_version AS flowVersion, credential_id AS credentialId, address, unit,
+  meter_status AS meterStatus, property_status AS propertyStatus, screenshot, steps
+`;
+
+function toCheck(row) {
+  if (!row) return null;
+  return { ...row, ok: Boolean(row.ok), steps: JSON.parse(row.steps) };
+}
+
+export function recordFlowCheck(db, { startedAt, finishedAt, ok, failedStep, error, flowVersion, credentialId, address, unit, meterStatus, propertyStatus, screenshot, steps }) {
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO flow_checks(started_at, finished_at, ok, failed_step, error, flow_version, credential_id, address, unit, meter_status, property_status, screenshot, steps)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    startedAt,
+    finishedAt,
+    ok ? 1 : 0,
+    failedStep ?? null,
+    error ?? null,
+    flowVersion ?? null,
+    credentialId ?? null,
+    address,
+    unit || null,
+    meterStatus ?? null,
+    propertyStatus ?? null,
+    screenshot ?? null,
+    JSON.stringify(steps)
+  );
+  return getFlowCheck(db, Number(lastInsertRowid));
+}
+
+export function getFlowCheck(db, checkId) {
+  return toCheck(db.prepare(`SELECT ${CHECK_COLUMNS} FROM flow_checks WHERE check_id = ?`).get(checkId));
+}
+
+export function getLatestFlowCheck(db) {
+  return toCheck(db.prepare(`SELECT ${CHECK_COLUMNS} FROM flow_checks ORDER BY check_id DESC LIMIT 1`).get());
+}
+
+export function listFlowChecks(db, { limit }) {
+  return db.prepare(`SELECT ${CHECK_COLUMNS} FROM flow_checks ORDER BY check_id DESC LIMIT ?`).all(limit).map(toCheck);
+}
@@ -0,0 +1,142 @@
+// Job input rows and restart bookkeeping
+
+// Inserts a running job together with its input rows. Jobs started from a portfolio
+// record which version of it they ran, and jobs started with a credential profile or
+// an explicit FPL account record those.
+export function createJob(db, { jobId, rows, portfolio, credentialId, account }) {
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO jobs(job_id, created_at, status, total, processed, portfolio_id, portfolio_version, credential_id, account)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(jobId, new Date().toISOString(), "running", rows.length, 0, portfolio?.portfolioId ?? null, portfolio?.version ?? null, credentialId ?? null, account ?? null);
+    // Keep the input so the job can be resumed after a restart
+    saveJobRows(db, jobId, rows);
+  })();
+}
+
+export function saveJobRows(db, jobId, rows) {
+  const insert = db.prepare("INSERT OR REPLACE INTO job_rows(job_id, row_index, data) VALUES (?, ?, ?)");
+  db.transaction(() => {
+    rows.forEach((row, rowIndex) => insert.run(jobId, rowIndex, JSON.stringify(row)));
+  })();
+}
+
+export function loadJobRows(db, jobId) {
+  return db.prepare("SELECT data FROM job_rows WHERE job_id = ? ORDER BY row_index")
+    .all(jobId)
+    .map(r => JSON.parse(r.data));
+}
+
+// Nothing survives a restart in memory, so any job still marked as active was cut off
+export function markInterruptedJobs(db) {
+  return db.prepare("UPDATE jobs SET status = 'interrupted' WHERE status IN ('running', 'paused')").run().changes;
+}
+
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  status: 'status',
+  total: 'total',
+  processed: 'processed'
+};
+
+export function isSortableJobField(field) {
+  return Object.hasOwn(SORT_COLUMNS, field);
+}
+
+function encodeCursor(job, sortColumn) {
+  return Buffer.from(JSON.stringify({ v: job[sortColumn], id: job.job_id })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id !== 'string') return null;
+    return { v, id };
+  } catch {
+    return null;
+  }
+}
+
+// Filtered, keyset-paginated job listing. Dates are ISO strings, which compare correctly as text.
+// Returns one page plus the total matching count and the cursor for the next page (null on the last).
+export function searchJobs(db, { createdFrom, createdTo, capturedFrom, capturedTo, statuses, address, portfolioId, sort = 'createdAt', order = 'desc', limit = 25, cursor } = {}) {
+  const where = [];
+  const params = {};
+
+  if (createdFrom) {
+    where.push('j.created_at >= @createdFrom');
+    params.createdFrom = createdFrom;
+  }
+  if (createdTo) {
+    where.push('j.created_at <= @createdTo');
+    params.createdTo = createdTo;
+  }
+  if (capturedFrom || capturedTo) {
+    const range = [];
+    if (capturedFrom) {
+      range.push('r.status_captured_at >= @capturedFrom');
+      params.capturedFrom = capturedFrom;
+    }
+    if (capturedTo) {
+      range.push('r.status_captured_at <= @capturedTo');
+      params.capturedTo = capturedTo;
+    }
+    where.push(`EXISTS (SELECT 1 FROM results r WHERE r.job_id = j.job_id AND ${range.join(' AND ')})`);
+  }
+  if (statuses?.length) {
+    const placeholders = statuses.map((status, i) => {
+      params[`status${i}`] = status;
+      return `@status${i}`;
+    });
+    where.push(`j.status IN (${placeholders.join(', ')})`);
+  }
+  if (address) {
+    where.push(`EXISTS (SELECT 1 FROM results r WHERE r.job_id = j.job_id AND r.address LIKE @address ESCAPE '\\')`);
+    params.address = `%${address.replace(/[\\%_]/g, '\\$&')}%`;
+  }
+  if (portfolioId) {
+    where.push('j.portfolio_id = @portfolioId');
+    params.portfolioId = portfolioId;
+  }
+
+  const filterSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM jobs j ${filterSql}`).get(params);
+
+  const sortColumn = SORT_COLUMNS[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const comparator = order === 'asc' ? '>' : '<';
+  const pageWhere = [...where];
+  if (cursor) {
+    // job_id breaks ties so rows with equal sort values are neither skipped nor repeated
+    pageWhere.push(`(j.${sortColumn} ${comparator} @cursorValue OR (j.${sortColumn} = @cursorValue AND j.job_id ${comparator} @cursorId))`);
+    params.cursorValue = cursor.v;
+    params.cursorId = cursor.id;
+  }
+
+  const rows = db.prepare(`
+    SELECT j.job_id, j.created_at, j.status, j.total, j.processed, j.next_row_index, j.portfolio_id, j.portfolio_version, j.credential_id, j.account
+    FROM jobs j
+    ${pageWhere.length ? `WHERE ${pageWhere.join(' AND ')}` : ''}
+    ORDER BY j.${sortColumn} ${direction}, j.job_id ${direction}
+    LIMIT @limit
+  `).all({ ...params, limit: limit + 1 });
+
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  return {
+    jobs: page.map(row => ({
+      jobId: row.job_id,
+      createdAt: row.created_at,
+      status: row.status,
+      total: row.total,
+      processed: row.processed,
+      nextRowIndex: row.next_row_index,
+      portfolioId: row.portfolio_id,
+      portfolioVersion: row.portfolio_version,
+      credentialId: row.credential_id,
+      account: row.account
+    })),
+    total,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortColumn) : null
+  };
+}
@@ -0,0 +1,59 @@
+// Versioned schema migrations
+// Each file in ./migrations is named NNN_description.sql and is applied once, in order
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { log } from '../utils/logger.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) return null;
+      return { version: Number(match[1]), name: match[2], file: path.join(MIGRATIONS_DIR, file) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i += 1) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+export function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const migrations = loadMigrations();
+  const latestVersion = migrations.length ? migrations[migrations.length - 1].version : 0;
+  const { version: currentVersion } = db.prepare("SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations").get();
+
+  // An older build must not write into a schema it doesn't understand
+  if (currentVersion > latestVersion) {
+    throw new Error(`Database schema version ${currentVersion} is newer than this build supports (${latestVersion}). Refusing to start.`);
+  }
+
+  const record = db.prepare("INSERT INTO schema_migrations(version, name, applied_at) VALUES (?, ?, ?)");
+  for (const migration of migrations) {
+    if (migration.version <= currentVersion) continue;
+    const sql = fs.readFileSync(migration.file, 'utf8');
+    db.transaction(() => {
+      db.exec(sql);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    log.info(`Applied migration ${path.basename(migration.file)}`);
+  }
+
+  return Math.max(currentVersion, latestVersion);
+}
@@ -0,0 +1,25 @@
+-- Jobs and per-row results. IF NOT EXISTS keeps this safe on databases
+-- created before migrations were tracked.
+CREATE TABLE IF NOT EXISTS jobs (
+  job_id TEXT PRIMARY KEY,
+  created_at TEXT NOT NULL,
+  status TEXT NOT NULL,
+  total INTEGER NOT NULL DEFAULT 0,
+  processed INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS results (
+  job_id TEXT NOT NULL,
+  row_index INTEGER NOT NULL,
+  address TEXT,
+  unit TEXT,
+  meter_status TEXT,
+  property_status TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL,
+  status_captured_at TEXT,
+  PRIMARY KEY (job_id, row_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_results_job_id ON results(job_id);
+CREATE INDEX IF NOT EXISTS idx_results_status_captured_at ON results(status_captured_at);
@@ -0,0 +1,2 @@
+-- Where a paused or interrupted job picks up again
+ALTER TABLE jobs ADD COLUMN next_row_index INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,8 @@
+-- The uploaded CSV rows for each job, so an interrupted job can be resumed
+-- without re-uploading the file
+CREATE TABLE IF NOT EXISTS job_rows (
+  job_id TEXT NOT NULL,
+  row_index INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (job_id, row_index)
+);
@@ -0,0 +1,2 @@
+-- How many times each row has been looked up (first run plus retries)
+ALTER TABLE results ADD COLUMN attempts INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,17 @@
+-- Latest known status per normalized address, shared across jobs and single lookups
+CREATE TABLE IF NOT EXISTS address_cache (
+  address_key TEXT PRIMARY KEY,
+  address TEXT,
+  unit TEXT,
+  meter_status TEXT,
+  property_status TEXT,
+  captured_at TEXT NOT NULL,
+  job_id TEXT
+);
+
+-- Results remember whether they came from FPL or from the cache, and carry the
+-- normalized address so lookups of one property can be linked across jobs.
+-- address_key is backfilled for older rows at startup (see backfillAddressKeys).
+ALTER TABLE results ADD COLUMN source TEXT NOT NULL DEFAULT 'lookup';
+ALTER TABLE results ADD COLUMN address_key TEXT;
+CREATE INDEX IF NOT EXISTS idx_results_address_key ON results(address_key);
@@ -0,0 +1,32 @@
+-- Recurring re-checks of a saved address list; next_run_at is in UTC ISO format
+CREATE TABLE IF NOT EXISTS schedules (
+  schedule_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  cron TEXT NOT NULL,
+  credential_id TEXT NOT NULL,
+  max_age_hours REAL,
+  status TEXT NOT NULL DEFAULT 'active',
+  created_at TEXT NOT NULL,
+  next_run_at TEXT,
+  last_run_at TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_schedules_status_next_run_at ON schedules(status, next_run_at);
+
+-- Same shape as job_rows: the CSV row objects each scheduled job is started with
+CREATE TABLE IF NOT EXISTS schedule_rows (
+  schedule_id TEXT NOT NULL,
+  row_index INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (schedule_id, row_index)
+);
+
+-- One entry per due run; job_id is null when the run was skipped or failed to start
+CREATE TABLE IF NOT EXISTS schedule_runs (
+  run_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  schedule_id TEXT NOT NULL,
+  job_id TEXT,
+  started_at TEXT NOT NULL,
+  outcome TEXT NOT NULL,
+  error TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule_id ON schedule_runs(schedule_id);
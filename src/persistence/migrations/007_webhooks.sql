@@ -0,0 +1,28 @@
+-- Outbound webhook subscriptions; events is a comma-separated list of event names
+CREATE TABLE IF NOT EXISTS webhooks (
+  webhook_id TEXT PRIMARY KEY,
+  url TEXT NOT NULL,
+  events TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+-- One row per event sent to a webhook. Pending rows are retried until next_attempt_at
+-- passes; replays are new rows pointing at the delivery they copy.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  delivery_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  webhook_id TEXT NOT NULL,
+  event TEXT NOT NULL,
+  job_id TEXT,
+  payload TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempts INTEGER NOT NULL DEFAULT 0,
+  response_status INTEGER,
+  error TEXT,
+  created_at TEXT NOT NULL,
+  next_attempt_at TEXT,
+  delivered_at TEXT,
+  replay_of INTEGER
+);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status_next_attempt_at ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id);
@@ -0,0 +1,33 @@
+-- Saved address lists. Every edit to the rows creates a new version; old versions are
+-- kept so a job can always be traced back to the exact list it ran.
+CREATE TABLE IF NOT EXISTS portfolios (
+  portfolio_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS portfolio_versions (
+  portfolio_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  total INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (portfolio_id, version)
+);
+
+-- Same shape as job_rows: CSV row objects
+CREATE TABLE IF NOT EXISTS portfolio_rows (
+  portfolio_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  row_index INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (portfolio_id, version, row_index)
+);
+
+ALTER TABLE jobs ADD COLUMN portfolio_id TEXT;
+ALTER TABLE jobs ADD COLUMN portfolio_version INTEGER;
+CREATE INDEX IF NOT EXISTS idx_jobs_portfolio_id ON jobs(portfolio_id);
+
+-- A schedule either keeps its own rows or re-checks the latest version of a portfolio
+ALTER TABLE schedules ADD COLUMN portfolio_id TEXT;
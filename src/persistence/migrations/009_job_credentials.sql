@@ -0,0 +1,12 @@
+-- Stored FPL logins, encrypted with CREDENTIALS_KEY (see utils/secrets.js)
+CREATE TABLE IF NOT EXISTS credential_profiles (
+  credential_id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  secret TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- The credential profile a job was started with, so it can be resumed or retried
+-- without sending the login again
+ALTER TABLE jobs ADD COLUMN credential_id TEXT;
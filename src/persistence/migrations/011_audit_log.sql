@@ -0,0 +1,34 @@
+-- Append-only record of who looked up which addresses with which FPL account.
+-- caller_* identify the API key (or schedule) that started the work; tin is stored masked.
+CREATE TABLE IF NOT EXISTS audit_log (
+  audit_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  occurred_at TEXT NOT NULL,
+  action TEXT NOT NULL,
+  caller_key_id TEXT,
+  caller_name TEXT,
+  schedule_id TEXT,
+  credential_id TEXT,
+  tin TEXT,
+  job_id TEXT,
+  row_index INTEGER,
+  address TEXT,
+  unit TEXT,
+  source TEXT,
+  outcome TEXT NOT NULL,
+  error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON audit_log(occurred_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_job_id ON audit_log(job_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_caller_key_id ON audit_log(caller_key_id);
+
+-- Entries can't be changed or removed once written
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN
+  SELECT RAISE(ABORT, 'audit_log is append-only');
+END;
@@ -0,0 +1,4 @@
+-- FPL account (name or account number) to pick after login, for logins that can see several.
+-- Profiles keep a default; jobs record the one they ran against so resume and retry reuse it.
+ALTER TABLE credential_profiles ADD COLUMN account TEXT;
+ALTER TABLE jobs ADD COLUMN account TEXT;
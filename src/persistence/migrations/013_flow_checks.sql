@@ -0,0 +1,20 @@
+-- Results of the FPL flow canary (POST /api/diagnostics/flow-check). steps is the JSON
+-- per-step report; screenshot is the artifacts path of the first failing step's capture.
+CREATE TABLE IF NOT EXISTS flow_checks (
+  check_id INTEGER PRIMARY KEY AUTOINCREMENT,
+  started_at TEXT NOT NULL,
+  finished_at TEXT NOT NULL,
+  ok INTEGER NOT NULL,
+  failed_step TEXT,
+  error TEXT,
+  flow_version INTEGER,
+  credential_id TEXT,
+  address TEXT NOT NULL,
+  unit TEXT,
+  meter_status TEXT,
+  property_status TEXT,
+  screenshot TEXT,
+  steps TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_flow_checks_finished_at ON flow_checks(finished_at);
@@ -0,0 +1,9 @@
+-- Logged-in FPL browser state (cookies and local storage) per credential profile, so new
+-- browsers can skip the login form. state is encrypted like the profile's secret; url is the
+-- page FPL landed on after login, which is loaded to check the session is still alive.
+CREATE TABLE IF NOT EXISTS fpl_sessions (
+  credential_id TEXT PRIMARY KEY,
+  state TEXT NOT NULL,
+  url TEXT NOT NULL,
+  saved_at TEXT NOT NULL
+);
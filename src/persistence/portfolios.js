@@ -0,0 +1,75 @@
+// Portfolios: named, versioned address lists that batches can be started from
+import { v4 as uuidv4 } from "uuid";
+
+const PORTFOLIO_COLUMNS = `
+  p.portfolio_id AS portfolioId, p.name, p.version, p.created_at AS createdAt, p.updated_at AS updatedAt,
+  (SELECT v.total FROM portfolio_versions v WHERE v.portfolio_id = p.portfolio_id AND v.version = p.version) AS total
+`;
+
+function insertVersion(db, portfolioId, version, rows, now) {
+  const insertRow = db.prepare("INSERT INTO portfolio_rows(portfolio_id, version, row_index, data) VALUES (?, ?, ?, ?)");
+  db.prepare("INSERT INTO portfolio_versions(portfolio_id, version, total, created_at) VALUES (?, ?, ?, ?)")
+    .run(portfolioId, version, rows.length, now);
+  rows.forEach((row, rowIndex) => insertRow.run(portfolioId, version, rowIndex, JSON.stringify(row)));
+}
+
+export function createPortfolio(db, { name, rows }) {
+  const portfolioId = uuidv4();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare("INSERT INTO portfolios(portfolio_id, name, version, created_at, updated_at) VALUES (?, ?, 1, ?, ?)")
+      .run(portfolioId, name, now, now);
+    insertVersion(db, portfolioId, 1, rows, now);
+  })();
+  return getPortfolio(db, portfolioId);
+}
+
+export function getPortfolio(db, portfolioId) {
+  return db.prepare(`SELECT ${PORTFOLIO_COLUMNS} FROM portfolios p WHERE p.portfolio_id = ?`).get(portfolioId) || null;
+}
+
+export function listPortfolios(db) {
+  return db.prepare(`SELECT ${PORTFOLIO_COLUMNS} FROM portfolios p ORDER BY p.name`).all();
+}
+
+export function listPortfolioVersions(db, portfolioId) {
+  return db.prepare("SELECT version, total, created_at AS createdAt FROM portfolio_versions WHERE portfolio_id = ? ORDER BY version DESC")
+    .all(portfolioId);
+}
+
+// Returns null when that version doesn't exist
+export function loadPortfolioRows(db, portfolioId, version) {
+  const exists = db.prepare("SELECT 1 FROM portfolio_versions WHERE portfolio_id = ? AND version = ?").get(portfolioId, version);
+  if (!exists) return null;
+  return db.prepare("SELECT data FROM portfolio_rows WHERE portfolio_id = ? AND version = ? ORDER BY row_index")
+    .all(portfolioId, version)
+    .map(r => JSON.parse(r.data));
+}
+
+// Stores rows as the next version and makes it current
+export function savePortfolioVersion(db, portfolioId, rows) {
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    const { version } = db.prepare("SELECT version FROM portfolios WHERE portfolio_id = ?").get(portfolioId);
+    insertVersion(db, portfolioId, version + 1, rows, now);
+    db.prepare("UPDATE portfolios SET version = ?, updated_at = ? WHERE portfolio_id = ?").run(version + 1, now, portfolioId);
+  })();
+  return getPortfolio(db, portfolioId);
+}
+
+// Renaming doesn't change the rows, so it doesn't create a version
+export function renamePortfolio(db, portfolioId, name) {
+  db.prepare("UPDATE portfolios SET name = ?, updated_at = ? WHERE portfolio_id = ?").run(name, new Date().toISOString(), portfolioId);
+  return getPortfolio(db, portfolioId);
+}
+
+// Jobs keep their portfolio_id and their own copy of the rows in job_rows
+export function deletePortfolio(db, portfolioId) {
+  let deleted = false;
+  db.transaction(() => {
+    deleted = db.prepare("DELETE FROM portfolios WHERE portfolio_id = ?").run(portfolioId).changes > 0;
+    db.prepare("DELETE FROM portfolio_versions WHERE portfolio_id = ?").run(portfolioId);
+    db.prepare("DELETE FROM portfolio_rows WHERE portfolio_id = ?").run(portfolioId);
+  })();
+  return deleted;
+}
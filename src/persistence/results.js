@@ -0,0 +1,108 @@
+import { normalizeAddress } from "../utils/address.js";
+
+// The one place that knows the results column list.
+// New columns go into a migration and here; callers pass named fields.
+// Saving a row that already exists updates it in place and counts another attempt.
+export function saveResult(db, { jobId, rowIndex, address, unit, meterStatus, propertyStatus, error, statusCapturedAt, source = 'lookup' }) {
+  return db.prepare(`
+    INSERT INTO results(job_id, row_index, address, unit, meter_status, property_status, error, created_at, status_captured_at, source, address_key)
+    VALUES (@jobId, @rowIndex, @address, @unit, @meterStatus, @propertyStatus, @error, @createdAt, @statusCapturedAt, @source, @addressKey)
+    ON CONFLICT(job_id, row_index) DO UPDATE SET
+      address = excluded.address,
+      unit = excluded.unit,
+      meter_status = excluded.meter_status,
+      property_status = excluded.property_status,
+      error = excluded.error,
+      status_captured_at = excluded.status_captured_at,
+      source = excluded.source,
+      address_key = excluded.address_key,
+      attempts = results.attempts + 1
+  `).run({
+    jobId,
+    rowIndex,
+    address: address || null,
+    unit: unit || null,
+    meterStatus: meterStatus || null,
+    propertyStatus: propertyStatus || null,
+    error: error || null,
+    createdAt: new Date().toISOString(),
+    statusCapturedAt: statusCapturedAt || null,
+    source,
+    addressKey: normalizeAddress(address, unit)
+  });
+}
+
+// Fills in address_key for rows written before it existed; a no-op once done
+export function backfillAddressKeys(db) {
+  const rows = db.prepare("SELECT rowid, address, unit FROM results WHERE address_key IS NULL").all();
+  if (rows.length === 0) return 0;
+  const update = db.prepare("UPDATE results SET address_key = ? WHERE rowid = ?");
+  db.transaction(() => {
+    for (const row of rows) {
+      update.run(normalizeAddress(row.address, row.unit), row.rowid);
+    }
+  })();
+  return rows.length;
+}
+
+export function getFailedResults(db, jobId) {
+  return db.prepare("SELECT row_index, address, unit, attempts FROM results WHERE job_id = ? AND error IS NOT NULL ORDER BY row_index").all(jobId);
+}
+
+function countBy(rows) {
+  return Object.fromEntries(rows.map(r => [r.value, r.count]));
+}
+
+// Per-job aggregates for the job detail endpoint, computed in SQL so large jobs
+// don't need their results loaded into memory
+export function summarizeResults(db, jobId) {
+  const totals = db.prepare(`
+    SELECT
+      COUNT(*) AS results,
+      SUM(CASE WHEN error IS NULL THEN 1 ELSE 0 END) AS succeeded,
+      SUM(CASE WHEN error IS NOT NULL THEN 1 ELSE 0 END) AS failed,
+      MIN(status_captured_at) AS firstCapturedAt,
+      MAX(status_captured_at) AS lastCapturedAt,
+      MAX(COALESCE(status_captured_at, created_at)) AS lastActivityAt
+    FROM results WHERE job_id = ?
+  `).get(jobId);
+
+  const meterStatus = db.prepare(`
+    SELECT TRIM(meter_status) AS value, COUNT(*) AS count FROM results
+    WHERE job_id = ? AND meter_status IS NOT NULL
+    GROUP BY TRIM(meter_status) ORDER BY count DESC
+  `).all(jobId);
+  const propertyStatus = db.prepare(`
+    SELECT TRIM(property_status) AS value, COUNT(*) AS count FROM results
+    WHERE job_id = ? AND property_status IS NOT NULL
+    GROUP BY TRIM(property_status) ORDER BY count DESC
+  `).all(jobId);
+  const errors = db.prepare(`
+    SELECT error, COUNT(*) AS count FROM results
+    WHERE job_id = ? AND error IS NOT NULL
+    GROUP BY error ORDER BY count DESC
+  `).all(jobId);
+
+  return {
+    results: totals.results,
+    succeeded: totals.succeeded || 0,
+    failed: totals.failed || 0,
+    meterStatus: countBy(meterStatus),
+    propertyStatus: countBy(propertyStatus),
+    errors,
+    firstCapturedAt: totals.firstCapturedAt,
+    lastCapturedAt: totals.lastCapturedAt,
+    lastActivityAt: totals.lastActivityAt
+  };
+}
+
+// Every status FPL reported for one normalized address, oldest first. Rows copied
+// from the cache are skipped since they repeat an earlier capture.
+export function getAddressCaptures(db, addressKey) {
+  return db.prepare(`
+    SELECT job_id, row_index, address, unit, meter_status, property_status, status_captured_at
+    FROM results
+    WHERE address_key = ? AND status_captured_at IS NOT NULL AND error IS NULL AND source = 'lookup'
+    ORDER BY status_captured_at, job_id, row_index
+  `).all(addressKey);
+}
@@ -0,0 +1,95 @@
+// Recurring re-check schedules, their address lists and run history
+import { v4 as uuidv4 } from "uuid";
+
+const SCHEDULE_COLUMNS = `
+  s.schedule_id AS scheduleId, s.name, s.cron, s.credential_id AS credentialId,
+  s.max_age_hours AS maxAgeHours, s.status, s.created_at AS createdAt,
+  s.next_run_at AS nextRunAt, s.last_run_at AS lastRunAt, s.portfolio_id AS portfolioId,
+  CASE WHEN s.portfolio_id IS NULL
+    THEN (SELECT COUNT(*) FROM schedule_rows r WHERE r.schedule_id = s.schedule_id)
+    ELSE (SELECT v.total FROM portfolios p JOIN portfolio_versions v ON v.portfolio_id = p.portfolio_id AND v.version = p.version
+          WHERE p.portfolio_id = s.portfolio_id)
+  END AS total
+`;
+
+// Pass either rows or a portfolioId; a portfolio schedule runs whatever version is current
+export function createSchedule(db, { name, cron, credentialId, maxAgeHours, rows = [], portfolioId, nextRunAt }) {
+  const scheduleId = uuidv4();
+  const insertRow = db.prepare("INSERT INTO schedule_rows(schedule_id, row_index, data) VALUES (?, ?, ?)");
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO schedules(schedule_id, name, cron, credential_id, max_age_hours, status, created_at, next_run_at, portfolio_id)
+      VALUES (?, ?, ?, ?, ?, 'active', ?, ?, ?)
+    `).run(scheduleId, name, cron, credentialId, maxAgeHours ?? null, new Date().toISOString(), nextRunAt, portfolioId ?? null);
+    rows.forEach((row, rowIndex) => insertRow.run(scheduleId, rowIndex, JSON.stringify(row)));
+  })();
+  return getSchedule(db, scheduleId);
+}
+
+export function getSchedule(db, scheduleId) {
+  return db.prepare(`SELECT ${SCHEDULE_COLUMNS} FROM schedules s WHERE s.schedule_id = ?`).get(scheduleId) || null;
+}
+
+export function listSchedules(db) {
+  return db.prepare(`SELECT ${SCHEDULE_COLUMNS} FROM schedules s ORDER BY s.created_at DESC`).all();
+}
+
+export function loadScheduleRows(db, scheduleId) {
+  return db.prepare("SELECT data FROM schedule_rows WHERE schedule_id = ? ORDER BY row_index")
+    .all(scheduleId)
+    .map(r => JSON.parse(r.data));
+}
+
+export function getDueSchedules(db, now) {
+  return db.prepare(`SELECT ${SCHEDULE_COLUMNS} FROM schedules s WHERE s.status = 'active' AND s.next_run_at <= ? ORDER BY s.next_run_at`).all(now);
+}
+
+export function updateScheduleStatus(db, scheduleId, status, nextRunAt) {
+  db.prepare("UPDATE schedules SET status = ?, next_run_at = ? WHERE schedule_id = ?").run(status, nextRunAt, scheduleId);
+}
+
+export function countSchedulesUsingPortfolio(db, portfolioId) {
+  return db.prepare("SELECT COUNT(*) AS count FROM schedules WHERE portfolio_id = ?").get(portfolioId).count;
+}
+
+export function countSchedulesUsingCredential(db, credentialId) {
+  return db.prepare("SELECT COUNT(*) AS count FROM schedules WHERE credential_id = ?").get(credentialId).count;
+}
+
+// Run history is removed with the schedule; the jobs themselves are kept
+export function deleteSchedule(db, scheduleId) {
+  let deleted = false;
+  db.transaction(() => {
+    deleted = db.prepare("DELETE FROM schedules WHERE schedule_id = ?").run(scheduleId).changes > 0;
+    db.prepare("DELETE FROM schedule_rows WHERE schedule_id = ?").run(scheduleId);
+    db.prepare("DELETE FROM schedule_runs WHERE schedule_id = ?").run(scheduleId);
+  })();
+  return deleted;
+}
+
+export function recordScheduleRun(db, { scheduleId, jobId, startedAt, outcome, error, nextRunAt }) {
+  db.transaction(() => {
+    db.prepare("INSERT INTO schedule_runs(schedule_id, job_id, started_at, outcome, error) VALUES (?, ?, ?, ?, ?)")
+      .run(scheduleId, jobId ?? null, startedAt, outcome, error ?? null);
+    db.prepare("UPDATE schedules SET last_run_at = ?, next_run_at = ? WHERE schedule_id = ?").run(startedAt, nextRunAt, scheduleId);
+  })();
+}
+
+// Newest first, with the current state of each run's job
+export function listScheduleRuns(db, scheduleId) {
+  return db.prepare(`
+    SELECT sr.run_id AS runId, sr.job_id AS jobId, sr.started_at AS startedAt, sr.outcome, sr.error,
+      j.status AS jobStatus, j.total, j.processed
+    FROM schedule_runs sr LEFT JOIN jobs j ON j.job_id = sr.job_id
+    WHERE sr.schedule_id = ?
+    ORDER BY sr.run_id DESC
+  `).all(scheduleId);
+}
+
+// The job started by the schedule's most recent run, if any
+export function getLastScheduledJob(db, scheduleId) {
+  return db.prepare(`
+    SELECT j.job_id AS jobId, j.status FROM schedule_runs sr JOIN jobs j ON j.job_id = sr.job_id
+    WHERE sr.schedule_id = ? ORDER BY sr.run_id DESC LIMIT 1
+  `).get(scheduleId) || null;
+}
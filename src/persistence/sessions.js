@@ -0,0 +1,20 @@
+// Saved FPL logins: Playwright storage state per credential profile, stored encrypted
+import { encryptSecret, decryptSecret } from "../utils/secrets.js";
+
+// { state, url, savedAt } where state is what browser.newContext({ storageState }) takes; null when none is saved
+export function loadFplSession(db, credentialId) {
+  const row = db.prepare("SELECT state, url, saved_at FROM fpl_sessions WHERE credential_id = ?").get(credentialId);
+  if (!row) return null;
+  return { state: JSON.parse(decryptSecret(row.state)), url: row.url, savedAt: row.saved_at };
+}
+
+export function saveFplSession(db, credentialId, { state, url }) {
+  db.prepare(`
+    INSERT INTO fpl_sessions(credential_id, state, url, saved_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(credential_id) DO UPDATE SET state = excluded.state, url = excluded.url, saved_at = excluded.saved_at
+  `).run(credentialId, encryptSecret(JSON.stringify(state)), url, new Date().toISOString());
+}
+
+export function deleteFplSession(db, credentialId) {
+  return db.prepare("DELETE FROM fpl_sessions WHERE credential_id = ?").run(credentialId).changes > 0;
+}
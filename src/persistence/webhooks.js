@@ -0,0 +1,95 @@
+// Webhook subscriptions and their delivery log
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+
+// The signing secret is only returned when the webhook is created
+const WEBHOOK_COLUMNS = "webhook_id AS webhookId, url, events, created_at AS createdAt";
+const DELIVERY_COLUMNS = `
+  delivery_id AS deliveryId, webhook_id AS webhookId, event, job_id AS jobId, status, attempts,
+  response_status AS responseStatus, error, created_at AS createdAt, next_attempt_at AS nextAttemptAt,
+  delivered_at AS deliveredAt, replay_of AS replayOf
+`;
+
+function toWebhook(row) {
+  return row ? { ...row, events: row.events.split(",") } : null;
+}
+
+export function createWebhook(db, { url, events, secret }) {
+  const webhookId = uuidv4();
+  const signingSecret = secret || crypto.randomBytes(32).toString("hex");
+  db.prepare("INSERT INTO webhooks(webhook_id, url, events, secret, created_at) VALUES (?, ?, ?, ?, ?)")
+    .run(webhookId, url, events.join(","), signingSecret, new Date().toISOString());
+  return { ...getWebhook(db, webhookId), secret: signingSecret };
+}
+
+export function getWebhook(db, webhookId) {
+  return toWebhook(db.prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE webhook_id = ?`).get(webhookId));
+}
+
+export function listWebhooks(db) {
+  return db.prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY created_at`).all().map(toWebhook);
+}
+
+// Includes the secret, for signing
+export function getWebhooksForEvent(db, event) {
+  return db.prepare("SELECT webhook_id, url, events, secret FROM webhooks").all()
+    .filter(webhook => webhook.events.split(",").includes(event));
+}
+
+// Pending deliveries to the webhook are dropped; the log of past ones is kept
+export function deleteWebhook(db, webhookId) {
+  let deleted = false;
+  db.transaction(() => {
+    deleted = db.prepare("DELETE FROM webhooks WHERE webhook_id = ?").run(webhookId).changes > 0;
+    db.prepare("UPDATE webhook_deliveries SET status = 'cancelled', next_attempt_at = NULL WHERE webhook_id = ? AND status = 'pending'").run(webhookId);
+  })();
+  return deleted;
+}
+
+export function createDelivery(db, { webhookId, event, jobId, payload, replayOf }) {
+  const now = new Date().toISOString();
+  return Number(db.prepare(`
+    INSERT INTO webhook_deliveries(webhook_id, event, job_id, payload, status, created_at, next_attempt_at, replay_of)
+    VALUES (?, ?, ?, ?, 'pending', ?, ?, ?)
+  `).run(webhookId, event, jobId ?? null, payload, now, now, replayOf ?? null).lastInsertRowid);
+}
+
+export function getDelivery(db, deliveryId) {
+  return db.prepare(`SELECT ${DELIVERY_COLUMNS}, payload FROM webhook_deliveries WHERE delivery_id = ?`).get(deliveryId) || null;
+}
+
+// Joined with the webhook's current URL and secret; null once the webhook is deleted
+export function getDeliveryTarget(db, deliveryId) {
+  return db.prepare(`
+    SELECT d.delivery_id, d.event, d.payload, d.attempts, d.status, w.url, w.secret
+    FROM webhook_deliveries d JOIN webhooks w ON w.webhook_id = d.webhook_id
+    WHERE d.delivery_id = ?
+  `).get(deliveryId) || null;
+}
+
+export function getDueDeliveryIds(db, now) {
+  return db.prepare("SELECT delivery_id FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY delivery_id")
+    .all(now)
+    .map(r => r.delivery_id);
+}
+
+export function recordDeliveryAttempt(db, deliveryId, { status, attempts, responseStatus, error, nextAttemptAt, deliveredAt }) {
+  db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, delivered_at = ?
+    WHERE delivery_id = ?
+  `).run(status, attempts, responseStatus ?? null, error ?? null, nextAttemptAt ?? null, deliveredAt ?? null, deliveryId);
+}
+
+// Newest first; filters are all optional
+export function listDeliveries(db, { webhookId, event, status, jobId, limit = 50 } = {}) {
+  const where = [];
+  const params = { webhookId, event, status, jobId, limit };
+  if (webhookId) where.push('webhook_id = @webhookId');
+  if (event) where.push('event = @event');
+  if (status) where.push('status = @status');
+  if (jobId) where.push('job_id = @jobId');
+  const filterSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  return db.prepare(`SELECT ${DELIVERY_COLUMNS} FROM webhook_deliveries ${filterSql} ORDER BY delivery_id DESC LIMIT @limit`)
+    .all(params);
+}
@@ -0,0 +1,52 @@
+// API key authentication. Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+// ADMIN_API_KEY, when set, is an admin key that isn't stored, for creating the first real keys.
+import crypto from "crypto";
+import { ensureDatabase } from "../config/database.js";
+import { findActiveApiKey } from "../persistence/apikeys.js";
+
+// Each role can do everything the roles before it can
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+function presentedKey(req, { allowQueryKey }) {
+  const authorization = req.get('authorization');
+  if (authorization?.startsWith('Bearer ')) return authorization.slice(7).trim();
+  if (req.get('x-api-key')) return req.get('x-api-key').trim();
+  // EventSource can't send headers, so the progress stream takes the key as ?apiKey=
+  if (allowQueryKey && typeof req.query.apiKey === 'string') return req.query.apiKey;
+  return null;
+}
+
+function isBootstrapKey(key) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) return false;
+  const a = Buffer.from(key);
+  const b = Buffer.from(adminKey);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Middleware: 401 without a valid key, 403 when the key's role is below `role`.
+// Sets req.apiKey to { keyId, name, role }.
+export function requireRole(role, { allowQueryKey = false } = {}) {
+  const minimum = ROLES.indexOf(role);
+  return (req, res, next) => {
+    try {
+      const key = presentedKey(req, { allowQueryKey });
+      if (!key) {
+        return res.status(401).json({ error: "Missing API key" });
+      }
+      const apiKey = isBootstrapKey(key)
+        ? { keyId: 'bootstrap', name: 'ADMIN_API_KEY', role: 'admin' }
+        : findActiveApiKey(ensureDatabase(), key);
+      if (!apiKey) {
+        return res.status(401).json({ error: "Invalid or revoked API key" });
+      }
+      if (ROLES.indexOf(apiKey.role) < minimum) {
+        return res.status(403).json({ error: `Requires the ${role} role` });
+      }
+      req.apiKey = { keyId: apiKey.keyId, name: apiKey.name, role: apiKey.role };
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error?.message || "Failed to check API key" });
+    }
+  };
+}
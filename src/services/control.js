@@ -0,0 +1,66 @@
+// In-process registry of running batch jobs
+// The background loops in batch.js check their entry between addresses, so
+// HTTP handlers can signal them without touching the Playwright session.
+
+const activeJobs = new Map();
+
+// Loops that can't release and re-open their session mid-run pass pausable: false
+export function startJobControl(jobId, { pausable = true } = {}) {
+  const control = {
+    jobId,
+    pausable,
+    cancelRequested: false,
+    pauseRequested: false,
+    wake: null
+  };
+  activeJobs.set(jobId, control);
+  return control;
+}
+
+export function getJobControl(jobId) {
+  return activeJobs.get(jobId) || null;
+}
+
+export function endJobControl(jobId) {
+  activeJobs.delete(jobId);
+}
+
+// Returns false when no loop for this job is running in this process
+export function requestCancel(jobId) {
+  const control = activeJobs.get(jobId);
+  if (!control) return false;
+  control.cancelRequested = true;
+  // Wakes up any paused loop
+  control.wake?.();
+  return true;
+}
+
+// Returns false when the job isn't running here or a pause is already pending
+export function requestPause(jobId) {
+  const control = activeJobs.get(jobId);
+  if (!control || !control.pausable || control.pauseRequested || control.cancelRequested) return false;
+  control.pauseRequested = true;
+  control.wake?.();
+  return true;
+}
+
+// Returns false when the job isn't paused in this process
+export function requestResume(jobId) {
+  const control = activeJobs.get(jobId);
+  if (!control || !control.pauseRequested) return false;
+  control.pauseRequested = false;
+  control.wake?.();
+  return true;
+}
+
+// Resolves once the job is resumed or cancelled
+export function waitForResume(control) {
+  if (!control.pauseRequested || control.cancelRequested) return Promise.resolve();
+  return new Promise(resolve => {
+    control.wake = () => {
+      control.wake = null;
+      resolve();
+    };
+  });
+}
+
@@ -0,0 +1,91 @@
+// FPL flow canary. A check logs in and walks the whole flow for a known test address, so a
+// site change is caught at the exact step that broke instead of as hundreds of failed rows.
+// The latest check is shown on /health, and while it is failing new batches are refused.
+import { ensureDatabase } from "../config/database.js";
+import { recordAudit } from "../persistence/audit.js";
+import { recordFlowCheck, getLatestFlowCheck } from "../persistence/flowchecks.js";
+import { log } from "../utils/logger.js";
+import { checkFlow } from "./batch.js";
+
+// One check at a time; each one is a full FPL login
+let running = false;
+
+export function isFlowCheckRunning() {
+  return running;
+}
+
+// Runs a check and stores its result. caller is { keyId, name } like the audit log's
+export async function runFlowCheck({ username, password, tin, account, credentialId, address, unit, caller }) {
+  if (running) throw new Error('A flow check is already running');
+  running = true;
+  try {
+    const db = ensureDatabase();
+    const startedAt = new Date().toISOString();
+    const result = await checkFlow({ username, password, tin, account, address, unit });
+    const { steps, failed, error } = evaluateFlowCheck(result);
+
+    const check = recordFlowCheck(db, {
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      ok: !error,
+      failedStep: failed?.step,
+      error,
+      flowVersion: result.flowVersion,
+      credentialId,
+      address,
+      unit,
+      meterStatus: result.meterStatus,
+      propertyStatus: result.propertyStatus,
+      // The first step that missed, which may be an optional one a later step needed
+      screenshot: steps.find(step => step.screenshot)?.screenshot,
+      steps
+    });
+    recordAudit(db, { action: 'flow_check', caller, credentialId, tin, address, unit, source: 'lookup', error });
+    if (error) {
+      log.warn(`Flow check ${check.checkId} failed: ${error}`);
+    } else {
+      log.info(`Flow check ${check.checkId} passed (flow version ${check.flowVersion})`);
+    }
+    return check;
+  } finally {
+    running = false;
+  }
+}
+
+// Optional steps miss now and then in real lookups too, so those misses are only marked as
+// warnings. The check fails on a required step that missed, a step skipped because a step it
+// requires missed, or no status read.
+export function evaluateFlowCheck(result) {
+  const steps = result.steps.map(step => (!step.ok && !step.skipped && step.optional ? { ...step, warning: true } : step));
+  const failed = steps.find(step => (step.skipped ? Boolean(step.error) : !step.ok && !step.optional));
+  const found = result.meterStatus && (result.meterStatus !== "Not found" || result.propertyStatus !== "Not found");
+  let error = null;
+  if (failed) {
+    error = `Step ${failed.step} ${failed.skipped ? 'skipped' : 'failed'}: ${failed.error}`;
+  } else if (!found) {
+    error = 'Every required step passed but no status was read';
+  }
+  return { steps, failed, error };
+}
+
+// Summary of the latest check for /health; "unknown" until the first one has run
+export function getFlowHealth(db) {
+  const latest = getLatestFlowCheck(db);
+  if (!latest) return { status: 'unknown', checkId: null, checkedAt: null, failedStep: null, flowVersion: null };
+  return {
+    status: latest.ok ? 'passing' : 'failing',
+    checkId: latest.checkId,
+    checkedAt: latest.finishedAt,
+    failedStep: latest.failedStep,
+    flowVersion: latest.flowVersion
+  };
+}
+
+// Why new batches may not start right now, or null. Only a failed latest check blocks them;
+// FLOW_CHECK_BLOCKS_BATCHES=false turns the block off
+export function getBatchBlockReason(db) {
+  if (process.env.FLOW_CHECK_BLOCKS_BATCHES === 'false') return null;
+  const latest = getLatestFlowCheck(db);
+  if (!latest || latest.ok) return null;
+  return `The FPL flow check at ${latest.finishedAt} failed${latest.failedStep ? ` at step ${latest.failedStep}` : ''}; new batches are blocked until POST /api/diagnostics/flow-check passes`;
+}
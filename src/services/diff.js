@@ -0,0 +1,113 @@
+// Compares two jobs property by property, matching rows on the normalized address + unit
+import { normalizeAddress } from "../utils/address.js";
+import { buildAddressAndUnitFromRow } from "../utils/csv.js";
+import { changedStatusFields } from "../utils/status.js";
+import { loadJobRows } from "../persistence/jobs.js";
+
+// Every input row of a job with its result, or null for a row the job hasn't reached yet.
+// Jobs from before input rows were stored only know the rows that have results.
+function loadRowsByAddress(db, jobId) {
+  const results = db.prepare(`
+    SELECT row_index, address, unit, address_key, meter_status, property_status, status_captured_at, error
+    FROM results WHERE job_id = ? ORDER BY row_index
+  `).all(jobId);
+  const resultsByIndex = new Map(results.map(result => [result.row_index, result]));
+  const inputRows = loadJobRows(db, jobId);
+  const rows = inputRows.length > 0
+    ? inputRows.map((data, rowIndex) => {
+      const result = resultsByIndex.get(rowIndex) || null;
+      const { address, unit } = result || buildAddressAndUnitFromRow(data);
+      return { rowIndex, address, unit: unit || null, addressKey: result?.address_key || normalizeAddress(address, unit), result };
+    })
+    : results.map(result => ({ rowIndex: result.row_index, address: result.address, unit: result.unit, addressKey: result.address_key || normalizeAddress(result.address, result.unit), result }));
+  // If an upload lists a property twice, the later row wins
+  const byAddress = new Map();
+  for (const row of rows) {
+    byAddress.set(row.addressKey, row);
+  }
+  return byAddress;
+}
+
+function side(row) {
+  if (!row) return null;
+  const { result } = row;
+  return {
+    rowIndex: row.rowIndex,
+    processed: Boolean(result),
+    meterStatus: result?.meter_status ?? null,
+    propertyStatus: result?.property_status ?? null,
+    statusCapturedAt: result?.status_captured_at ?? null,
+    error: result?.error ?? null
+  };
+}
+
+// jobId is the baseline ("old"), otherJobId the run being compared against it ("new").
+// Rows where either side has no status (an error, or no result yet because that job is still
+// running, paused or was cancelled) can't be compared and are reported as unresolved.
+export function diffJobs(db, jobId, otherJobId) {
+  const before = loadRowsByAddress(db, jobId);
+  const after = loadRowsByAddress(db, otherJobId);
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const unresolved = [];
+  let unchanged = 0;
+
+  for (const [addressKey, oldRow] of before) {
+    const newRow = after.get(addressKey);
+    const entry = { addressKey, address: (newRow || oldRow).address, unit: (newRow || oldRow).unit, old: side(oldRow), new: side(newRow) };
+    if (!newRow) {
+      removed.push(entry);
+    } else if (!oldRow.result || !newRow.result || oldRow.result.error || newRow.result.error) {
+      unresolved.push(entry);
+    } else {
+      const changedFields = changedStatusFields(entry.old, entry.new);
+      if (changedFields.length > 0) {
+        changed.push({ ...entry, changedFields });
+      } else {
+        unchanged += 1;
+      }
+    }
+  }
+  for (const [addressKey, newRow] of after) {
+    if (!before.has(addressKey)) {
+      added.push({ addressKey, address: newRow.address, unit: newRow.unit, old: null, new: side(newRow) });
+    }
+  }
+
+  return {
+    jobId,
+    otherJobId,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unresolved: unresolved.length,
+      unchanged
+    },
+    added,
+    removed,
+    changed,
+    unresolved
+  };
+}
+
+export const DIFF_CSV_COLUMNS = [
+  "change", "address", "unit",
+  "old_meter_status", "old_property_status", "old_status_captured_at", "old_error",
+  "new_meter_status", "new_property_status", "new_status_captured_at", "new_error"
+];
+
+export function diffToCsvRows(diff) {
+  const rows = [];
+  for (const change of ["changed", "added", "removed", "unresolved"]) {
+    for (const entry of diff[change]) {
+      rows.push([
+        change, entry.address, entry.unit,
+        entry.old?.meterStatus, entry.old?.propertyStatus, entry.old?.statusCapturedAt, entry.old?.error,
+        entry.new?.meterStatus, entry.new?.propertyStatus, entry.new?.statusCapturedAt, entry.new?.error
+      ]);
+    }
+  }
+  return rows;
+}
@@ -0,0 +1,134 @@
+import ExcelJS from "exceljs";
+import { summarizeResults } from "../persistence/results.js";
+
+export const RESULT_EXPORT_COLUMNS = ["meter_status", "property_status", "status_captured_at", "error"];
+
+const EXPORT_PAGE_SIZE = 500;
+
+// Reads rows a page at a time by row_index. An open better-sqlite3 iterator keeps the shared
+// connection busy, so none may be left open while a download waits on a slow client
+function* pagedRows(statement, jobId, toRow) {
+  let afterRowIndex = -1;
+  for (;;) {
+    const page = statement.all(jobId, afterRowIndex, EXPORT_PAGE_SIZE);
+    for (const row of page) yield toRow(row);
+    if (page.length < EXPORT_PAGE_SIZE) return;
+    afterRowIndex = page[page.length - 1].row_index;
+  }
+}
+
+// The table behind the results exports: every uploaded row in its original order and
+// columns, with the lookup outcome appended. rows is read page by page as it is consumed,
+// so a large job is never held in memory at once
+export function iterateResultsExport(db, jobId) {
+  if (!db.prepare("SELECT 1 FROM job_rows WHERE job_id = ? LIMIT 1").get(jobId)) {
+    // Jobs created before input rows were stored only have the reconstructed address
+    const results = db.prepare(`
+      SELECT row_index, address, unit, meter_status, property_status, status_captured_at, error
+      FROM results WHERE job_id = ? AND row_index > ? ORDER BY row_index LIMIT ?
+    `);
+    return {
+      columns: ["address", "unit", ...RESULT_EXPORT_COLUMNS],
+      rows: pagedRows(results, jobId, r => [r.address, r.unit, r.meter_status, r.property_status, r.status_captured_at, r.error])
+    };
+  }
+
+  // Collect every original column in first-seen order, in case rows differ; only the names are kept
+  const originalColumns = [];
+  for (const { data } of db.prepare("SELECT data FROM job_rows WHERE job_id = ? ORDER BY row_index").iterate(jobId)) {
+    for (const key of Object.keys(JSON.parse(data))) {
+      if (!originalColumns.includes(key)) originalColumns.push(key);
+    }
+  }
+
+  const rows = db.prepare(`
+    SELECT jr.row_index, jr.data, r.row_index AS result_row_index, r.meter_status, r.property_status, r.status_captured_at, r.error
+    FROM job_rows jr
+    LEFT JOIN results r ON r.job_id = jr.job_id AND r.row_index = jr.row_index
+    WHERE jr.job_id = ? AND jr.row_index > ?
+    ORDER BY jr.row_index
+    LIMIT ?
+  `);
+  return {
+    columns: [...originalColumns, ...RESULT_EXPORT_COLUMNS],
+    rows: pagedRows(rows, jobId, r => {
+      const original = JSON.parse(r.data);
+      return [
+        ...originalColumns.map(column => original[column] ?? ""),
+        r.meter_status,
+        r.property_status,
+        r.status_captured_at,
+        // Rows the job never reached (cancelled, still running) have no result yet
+        r.result_row_index === null ? "Not processed" : r.error
+      ];
+    })
+  };
+}
+
+const HEADER_FONT = { bold: true };
+const ERROR_STYLE = {
+  font: { color: { argb: "FF9C0006" } },
+  fill: { type: "pattern", pattern: "solid", bgColor: { argb: "FFFFC7CE" } }
+};
+
+function addSection(sheet, title, header, rows) {
+  sheet.addRow([]);
+  sheet.addRow([title]).font = { bold: true, size: 12 };
+  sheet.addRow(header).font = HEADER_FONT;
+  if (rows.length === 0) {
+    sheet.addRow(["(none)"]);
+  }
+  for (const row of rows) {
+    sheet.addRow(row);
+  }
+}
+
+// Workbook with a Results sheet (same table as the CSV export, rows with an error
+// highlighted) and a Summary sheet with job metadata and status/error counts
+export function buildResultsWorkbook(db, job) {
+  const { columns, rows: cursor } = iterateResultsExport(db, job.jobId);
+  // The workbook is built in memory anyway, and the column widths need every row
+  const rows = [...cursor];
+  const summary = summarizeResults(db, job.jobId);
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const results = workbook.addWorksheet("Results", { views: [{ state: "frozen", ySplit: 1 }] });
+  results.addRow(columns).font = HEADER_FONT;
+  for (const row of rows) {
+    results.addRow(row.map(value => value ?? ""));
+  }
+  results.columns.forEach((column, i) => {
+    const longest = Math.max(String(columns[i]).length, ...rows.map(row => String(row[i] ?? "").length));
+    column.width = Math.min(Math.max(longest + 2, 10), 60);
+  });
+  const lastColumn = results.getColumn(columns.length).letter;
+  results.autoFilter = { from: "A1", to: `${lastColumn}1` };
+  if (rows.length > 0) {
+    const errorColumn = results.getColumn(columns.indexOf("error") + 1).letter;
+    results.addConditionalFormatting({
+      ref: `A2:${lastColumn}${rows.length + 1}`,
+      rules: [{ type: "expression", formulae: [`LEN($${errorColumn}2)>0`], style: ERROR_STYLE }]
+    });
+  }
+
+  const sheet = workbook.addWorksheet("Summary");
+  sheet.getColumn(1).width = 32;
+  sheet.getColumn(2).width = 28;
+  sheet.addRow(["Job"]).font = { bold: true, size: 12 };
+  sheet.addRow(["Job ID", job.jobId]);
+  sheet.addRow(["Created at", job.createdAt]);
+  sheet.addRow(["Status", job.status]);
+  sheet.addRow(["Total addresses", job.total]);
+  sheet.addRow(["Processed", job.processed]);
+  sheet.addRow(["Succeeded", summary.succeeded]);
+  sheet.addRow(["Failed", summary.failed]);
+  sheet.addRow(["First status captured", summary.firstCapturedAt || ""]);
+  sheet.addRow(["Last status captured", summary.lastCapturedAt || ""]);
+
+  addSection(sheet, "Meter status", ["Status", "Count"], Object.entries(summary.meterStatus));
+  addSection(sheet, "Property status", ["Status", "Count"], Object.entries(summary.propertyStatus));
+  addSection(sheet, "Failure reasons", ["Error", "Count"], summary.errors.map(e => [e.error, e.count]));
+
+  return workbook;
+}
@@ -0,0 +1,36 @@
+// Status timeline for a single property across all jobs
+import { normalizeAddress } from "../utils/address.js";
+import { getAddressCaptures } from "../persistence/results.js";
+import { changedStatusFields } from "../utils/status.js";
+
+export function getAddressHistory(db, { address, unit }) {
+  const addressKey = normalizeAddress(address, unit);
+  let previous = null;
+  const captures = getAddressCaptures(db, addressKey).map(row => {
+    const status = { meterStatus: row.meter_status, propertyStatus: row.property_status };
+    // The first capture has nothing to compare against
+    const changedFields = previous ? changedStatusFields(previous, status) : [];
+    const capture = {
+      jobId: row.job_id,
+      rowIndex: row.row_index,
+      address: row.address,
+      unit: row.unit,
+      ...status,
+      statusCapturedAt: row.status_captured_at,
+      changed: changedFields.length > 0,
+      changedFields,
+      previousMeterStatus: previous ? previous.meterStatus : null,
+      previousPropertyStatus: previous ? previous.propertyStatus : null
+    };
+    previous = status;
+    return capture;
+  });
+
+  return {
+    address,
+    unit: unit || null,
+    addressKey,
+    captures,
+    changes: captures.filter(c => c.changed).length
+  };
+}
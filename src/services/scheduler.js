@@ -0,0 +1,98 @@
+// Starts jobs for due schedules. A timer checks once a minute; a run missed while the
+// server was down happens once at the next check, then the schedule carries on from now.
+import { ensureDatabase } from "../config/database.js";
+import { loadCredentials } from "../persistence/credentials.js";
+import { getDueSchedules, loadScheduleRows, recordScheduleRun, getLastScheduledJob } from "../persistence/schedules.js";
+import { getPortfolio, loadPortfolioRows } from "../persistence/portfolios.js";
+import { parseCron, nextCronRun } from "../utils/cron.js";
+import { log, withLogContext, addLogSecrets } from "../utils/logger.js";
+import { runQueueBatchLookup } from "./batch.js";
+import { getBatchBlockReason } from "./diagnostics.js";
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+export function computeNextRunAt(cronExpression, after = new Date()) {
+  const next = nextCronRun(parseCron(cronExpression), after);
+  return next ? next.toISOString() : null;
+}
+
+async function runSchedule(db, schedule, { progressCallback }) {
+  const startedAt = new Date().toISOString();
+  const nextRunAt = computeNextRunAt(schedule.cron);
+
+  // Never stack a second job on top of one that is still going
+  const lastJob = getLastScheduledJob(db, schedule.scheduleId);
+  if (lastJob && (lastJob.status === 'running' || lastJob.status === 'paused')) {
+    log.info(`Skipping schedule ${schedule.scheduleId}: job ${lastJob.jobId} is still ${lastJob.status}`);
+    recordScheduleRun(db, { scheduleId: schedule.scheduleId, startedAt, outcome: 'skipped', error: `Previous job ${lastJob.jobId} is still ${lastJob.status}`, nextRunAt });
+    return;
+  }
+
+  // Don't spend a whole run on failed lookups while the flow check says FPL's site has changed
+  const blockReason = getBatchBlockReason(db);
+  if (blockReason) {
+    log.warn(`Skipping schedule ${schedule.scheduleId}: ${blockReason}`);
+    recordScheduleRun(db, { scheduleId: schedule.scheduleId, startedAt, outcome: 'skipped', error: blockReason, nextRunAt });
+    return;
+  }
+
+  try {
+    const credentials = loadCredentials(db, schedule.credentialId);
+    if (!credentials) {
+      throw new Error(`Credential profile ${schedule.credentialId} no longer exists`);
+    }
+    addLogSecrets(credentials.username, credentials.password, credentials.tin);
+    let rows;
+    let portfolio;
+    if (schedule.portfolioId) {
+      const current = getPortfolio(db, schedule.portfolioId);
+      if (!current) {
+        throw new Error(`Portfolio ${schedule.portfolioId} no longer exists`);
+      }
+      portfolio = { portfolioId: current.portfolioId, version: current.version };
+      rows = loadPortfolioRows(db, current.portfolioId, current.version);
+      if (rows.length === 0) {
+        throw new Error(`Portfolio ${current.portfolioId} version ${current.version} has no rows`);
+      }
+    } else {
+      rows = loadScheduleRows(db, schedule.scheduleId);
+    }
+    const { username, password, tin, account } = credentials;
+    const audit = {
+      action: 'batch',
+      caller: { keyId: null, name: `Schedule ${schedule.name}`, scheduleId: schedule.scheduleId },
+      credentialId: schedule.credentialId
+    };
+    const { jobId } = await runQueueBatchLookup({ username, password, tin, account, credentialId: schedule.credentialId, rows, portfolio, maxAgeHours: schedule.maxAgeHours ?? undefined, audit, progressCallback });
+    log.info(`Schedule ${schedule.scheduleId} (${schedule.name}) started job ${jobId}`);
+    recordScheduleRun(db, { scheduleId: schedule.scheduleId, jobId, startedAt, outcome: 'started', nextRunAt });
+  } catch (error) {
+    log.warn(`Schedule ${schedule.scheduleId} failed to start:`, error.message);
+    recordScheduleRun(db, { scheduleId: schedule.scheduleId, startedAt, outcome: 'failed', error: error.message, nextRunAt });
+  }
+}
+
+export async function runDueSchedules({ progressCallback } = {}) {
+  const db = ensureDatabase();
+  for (const schedule of getDueSchedules(db, new Date().toISOString())) {
+    await withLogContext({ scheduleId: schedule.scheduleId }, () => runSchedule(db, schedule, { progressCallback }));
+  }
+}
+
+export function startScheduler({ progressCallback } = {}) {
+  let checking = false;
+  const check = async () => {
+    // A slow check must not overlap the next tick
+    if (checking) return;
+    checking = true;
+    try {
+      await runDueSchedules({ progressCallback });
+    } catch (error) {
+      log.error('Error running due schedules:', error.message);
+    } finally {
+      checking = false;
+    }
+  };
+  void check();
+  return setInterval(check, CHECK_INTERVAL_MS);
+}
@@ -0,0 +1,220 @@
+// Runs a flow from the step config (src/config/flow.json) against a logged-in FPL page.
+// Each step tries its strategies in order until one finds a visible element, completes its
+// action and passes the step's success check (`expect`), if any. The report records which
+// strategy matched, so a site change shows up as a step falling through to a fallback (or
+// failing) instead of a silent "Not found".
+import { getFlowConfig } from "../config/flow.js";
+import { capture } from "../utils/artifacts.js";
+import { log, setLogContext } from "../utils/logger.js";
+
+const REGEX_STRING = /^\/(.+)\/([a-z]*)$/s;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Replaces {tin}, {address} and {unit} with lookup values; escaped when used inside a regex
+function fillTemplate(template, context, escape = false) {
+  return String(template).replace(/\{(\w+)\}/g, (match, key) => {
+    if (!(key in context)) return match;
+    const value = String(context[key] ?? '');
+    return escape ? escapeRegExp(value) : value;
+  });
+}
+
+function toMatcher(text, context) {
+  const match = String(text).match(REGEX_STRING);
+  return match ? new RegExp(fillTemplate(match[1], context, true), match[2]) : fillTemplate(text, context);
+}
+
+function buildLocator(page, strategy, context) {
+  const exact = strategy.exact ? { exact: true } : {};
+  let locator;
+  if (strategy.role) {
+    locator = page.getByRole(strategy.role, strategy.text !== undefined ? { name: toMatcher(strategy.text, context), ...exact } : {});
+  } else if (strategy.label !== undefined) {
+    locator = page.getByLabel(toMatcher(strategy.label, context), exact);
+  } else if (strategy.text !== undefined) {
+    locator = page.getByText(toMatcher(strategy.text, context), exact);
+  } else {
+    locator = page.locator(fillTemplate(strategy.selector, context));
+  }
+  if (strategy.hasText !== undefined) locator = locator.filter({ hasText: toMatcher(strategy.hasText, context) });
+  return strategy.first ? locator.first() : locator;
+}
+
+// Clicks the first matching element from inside the page, for elements Playwright
+// won't click (hidden inputs, dropdown items that vanish on hover). Returns its text, or null
+async function clickInDom(page, dom) {
+  return page.evaluate(({ selectors, text, candidates, containers, visibleOnly }) => {
+    const query = (selector) => {
+      try {
+        return Array.from(document.querySelectorAll(selector));
+      } catch {
+        return [];
+      }
+    };
+    const within = (el, selector) => {
+      try {
+        return Boolean(el.closest(selector));
+      } catch {
+        return false;
+      }
+    };
+    let found = selectors.flatMap(query);
+    // Any short, visible element inside a dropdown-like container
+    if (candidates) {
+      for (const el of query(candidates)) {
+        const content = el.textContent?.trim();
+        const style = window.getComputedStyle(el);
+        const isVisible = style.display !== 'none' && style.visibility !== 'hidden' && el.offsetHeight > 0;
+        if (isVisible && content && content.length < 100 && containers.some(selector => within(el, selector))) {
+          found.push(el);
+        }
+      }
+    }
+    found = [...new Set(found)];
+    const target = found.find(el =>
+      (text === undefined || el.textContent?.trim() === text) &&
+      !el.disabled &&
+      (!visibleOnly || el.offsetHeight > 0));
+    if (!target) return null;
+    target.click();
+    return target.textContent?.trim().slice(0, 100) || target.tagName;
+  }, { text: undefined, candidates: null, containers: [], visibleOnly: true, ...dom });
+}
+
+async function expectAfter(page, step, context) {
+  if (!step.expect) return;
+  const state = step.expect.state || 'visible';
+  try {
+    await buildLocator(page, step.expect, context).first().waitFor({ state, timeout: step.expect.timeout ?? 5000 });
+  } catch {
+    throw new Error(`success check failed (expected element to be ${state})`);
+  }
+}
+
+// { found: false } when the element isn't there; throws when it is but the action fails
+async function runStrategy(page, step, strategy, context) {
+  if (strategy.dom) {
+    const clicked = await clickInDom(page, strategy.dom);
+    if (clicked === null) return { found: false };
+    await expectAfter(page, step, context);
+    return { found: true };
+  }
+  const locator = buildLocator(page, strategy, context);
+  const visible = step.waitForVisible
+    ? await locator.waitFor({ state: 'visible', timeout: step.timeout }).then(() => true, () => false)
+    : await locator.isVisible({ timeout: step.timeout });
+  if (!visible) return { found: false };
+
+  let target = locator;
+  if (strategy.then) {
+    target = locator.locator(strategy.then.selector);
+    if (strategy.then.first) target = target.first();
+  }
+  const options = step.actionTimeout ? { timeout: step.actionTimeout } : {};
+  switch (strategy.action || step.action) {
+    case 'click':
+      await target.click(options);
+      break;
+    case 'fill':
+      await target.fill(fillTemplate(step.value, context), options);
+      break;
+    case 'check':
+      await target.check(options);
+      break;
+    case 'read':
+      return { found: true, value: await target.innerText(options) };
+  }
+  await expectAfter(page, step, context);
+  return { found: true };
+}
+
+async function settle(page, wait) {
+  if (!wait) return;
+  if (wait.wait) await page.waitForTimeout(wait.wait);
+  if (wait.loadState) {
+    try {
+      await page.waitForLoadState(wait.loadState, wait.loadStateTimeout ? { timeout: wait.loadStateTimeout } : {});
+    } catch {
+      log.debug(`Timed out waiting for ${wait.loadState}, continuing...`);
+    }
+  }
+}
+
+// Runs every step of a flow with one config snapshot, so a reload mid-lookup can't mix versions.
+// Optional steps that don't match are recorded and skipped, like the hand-written flow did;
+// a required step that doesn't match throws an error carrying .step and .report. A step left out
+// because a step it requires didn't complete keeps that reason in its error.
+// With captureFolder, the first step that fails is also screenshotted into that artifacts folder.
+export async function runFlow(page, flowName, context = {}, { captureFolder } = {}) {
+  const config = getFlowConfig();
+  const stepNames = config.flows[flowName];
+  if (!stepNames) throw new Error(`Unknown flow: ${flowName}`);
+
+  const report = { flow: flowName, version: config.version, steps: [], outputs: {} };
+  const completed = new Set();
+  let failureCaptured = false;
+  for (const name of stepNames) {
+    const step = config.steps[name];
+    const entry = { step: name, stage: step.stage ?? null, optional: step.optional !== false, strategy: null, ok: false, skipped: false, error: null, ms: 0 };
+    report.steps.push(entry);
+    const missing = (step.requires || []).filter(required => !completed.has(required));
+    if ((step.when && !context[step.when]) || missing.length > 0) {
+      entry.skipped = true;
+      // Only a step the input calls for can be missing something
+      if (!step.when || context[step.when]) entry.error = `Requires ${missing.join(', ')}, which did not complete`;
+      continue;
+    }
+
+    setLogContext({ step: name });
+    log.debug(`Step ${step.stage ?? '-'}: ${step.description || name}`);
+    const started = Date.now();
+    await settle(page, step.before);
+    if (step.action === 'none') {
+      entry.ok = true;
+    } else {
+      for (const strategy of step.strategies) {
+        try {
+          const result = await runStrategy(page, step, strategy, context);
+          if (!result.found) continue;
+          entry.ok = true;
+          entry.strategy = strategy.name;
+          entry.error = null;
+          if (step.action === 'read') report.outputs[step.output] = result.value;
+          break;
+        } catch (error) {
+          entry.error = `${strategy.name}: ${error.message}`;
+          log.debug(`Strategy ${strategy.name} failed:`, error.message);
+        }
+      }
+    }
+
+    if (entry.ok) {
+      completed.add(name);
+      if (entry.strategy) log.debug(`Step ${name} matched strategy ${entry.strategy}`);
+      await settle(page, step.after);
+    } else {
+      entry.error = entry.error || 'No strategy found the element';
+      if (captureFolder && !failureCaptured) {
+        entry.screenshot = await capture(page, `step-${name}`, { folder: captureFolder });
+        failureCaptured = true;
+      } else if (step.capture) {
+        entry.screenshot = await capture(page, `step-${name}`);
+      }
+    }
+    entry.ms = Date.now() - started;
+
+    if (!entry.ok) {
+      if (step.optional === false) {
+        const error = new Error(`Step ${name} failed: ${entry.error}`);
+        error.step = name;
+        error.report = report;
+        throw error;
+      }
+      log.debug(`Step ${name} not completed: ${entry.error}`);
+    }
+  }
+  return report;
+}
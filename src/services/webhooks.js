@@ -0,0 +1,123 @@
+// Outbound webhooks. Progress updates that map to a webhook event are logged as one
+// delivery per subscribed webhook and POSTed right away; failures are retried with
+// exponential backoff by a timer, so pending deliveries also survive a restart.
+import crypto from "crypto";
+import { ensureDatabase } from "../config/database.js";
+import { getWebhooksForEvent, createDelivery, getDeliveryTarget, getDueDeliveryIds, recordDeliveryAttempt } from "../persistence/webhooks.js";
+import { log } from "../utils/logger.js";
+
+// Progress update types that each webhook event is sent for
+const EVENT_SOURCES = {
+  job_completed: ['job_completed', 'queue_completed', 'retry_completed'],
+  job_failed: ['job_failed', 'retry_failed'],
+  address_failed: ['address_failed', 'address_error'],
+  status_changed: ['status_changed']
+};
+export const WEBHOOK_EVENTS = Object.keys(EVENT_SOURCES);
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RETRY_CHECK_INTERVAL_MS = 15 * 1000;
+
+// Deliveries being POSTed right now, so the retry timer doesn't send them twice
+const inFlight = new Set();
+
+function eventForProgressType(type) {
+  return WEBHOOK_EVENTS.find(event => EVENT_SOURCES[event].includes(type)) || null;
+}
+
+// Receivers verify X-Webhook-Signature: "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Called with every progress update; never throws into the batch loop
+export function publishWebhookEvent(data) {
+  try {
+    const event = eventForProgressType(data?.type);
+    if (!event) return;
+    const db = ensureDatabase();
+    const webhooks = getWebhooksForEvent(db, event);
+    for (const webhook of webhooks) {
+      const payload = JSON.stringify({ event, webhookId: webhook.webhook_id, occurredAt: new Date().toISOString(), data });
+      const deliveryId = createDelivery(db, { webhookId: webhook.webhook_id, event, jobId: data.jobId, payload });
+      void attemptDelivery(deliveryId);
+    }
+  } catch (error) {
+    log.error('Error queueing webhook deliveries:', error.message);
+  }
+}
+
+// Sends a fresh copy of a logged delivery, whatever its outcome was
+export function replayDelivery(db, delivery) {
+  const deliveryId = createDelivery(db, {
+    webhookId: delivery.webhookId,
+    event: delivery.event,
+    jobId: delivery.jobId,
+    payload: delivery.payload,
+    replayOf: delivery.deliveryId
+  });
+  void attemptDelivery(deliveryId);
+  return deliveryId;
+}
+
+async function attemptDelivery(deliveryId) {
+  if (inFlight.has(deliveryId)) return;
+  inFlight.add(deliveryId);
+  const db = ensureDatabase();
+  try {
+    const target = getDeliveryTarget(db, deliveryId);
+    if (!target || target.status !== 'pending') return;
+
+    const attempts = target.attempts + 1;
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let responseStatus = null;
+    let error = null;
+    try {
+      const response = await fetch(target.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': target.event,
+          'X-Webhook-Delivery': String(deliveryId),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(target.secret, timestamp, target.payload)
+        },
+        body: target.payload,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      responseStatus = response.status;
+      if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (e) {
+      error = e?.message || 'Request failed';
+    }
+
+    if (!error) {
+      recordDeliveryAttempt(db, deliveryId, { status: 'succeeded', attempts, responseStatus, deliveredAt: new Date().toISOString() });
+    } else if (attempts >= MAX_ATTEMPTS) {
+      log.warn(`Webhook delivery ${deliveryId} failed after ${attempts} attempts: ${error}`);
+      recordDeliveryAttempt(db, deliveryId, { status: 'failed', attempts, responseStatus, error });
+    } else {
+      const nextAttemptAt = new Date(Date.now() + BASE_RETRY_DELAY_MS * 2 ** (attempts - 1)).toISOString();
+      recordDeliveryAttempt(db, deliveryId, { status: 'pending', attempts, responseStatus, error, nextAttemptAt });
+    }
+  } catch (error) {
+    log.error(`Error delivering webhook ${deliveryId}:`, error.message);
+  } finally {
+    inFlight.delete(deliveryId);
+  }
+}
+
+export function startWebhookRetries() {
+  return setInterval(() => {
+    try {
+      const db = ensureDatabase();
+      for (const deliveryId of getDueDeliveryIds(db, new Date().toISOString())) {
+        void attemptDelivery(deliveryId);
+      }
+    } catch (error) {
+      log.error('Error retrying webhook deliveries:', error.message);
+    }
+  }, RETRY_CHECK_INTERVAL_MS);
+}
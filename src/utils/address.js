@@ -0,0 +1,49 @@
+// Address normalization so the same property matches across uploads regardless of
+// case, punctuation or "Street" vs "St"
+
+const SUFFIXES = {
+  STREET: "ST",
+  AVENUE: "AVE",
+  ROAD: "RD",
+  DRIVE: "DR",
+  BOULEVARD: "BLVD",
+  LANE: "LN",
+  COURT: "CT",
+  CIRCLE: "CIR",
+  PLACE: "PL",
+  TERRACE: "TER",
+  PARKWAY: "PKWY",
+  HIGHWAY: "HWY",
+  TRAIL: "TRL",
+  WAY: "WAY",
+  NORTH: "N",
+  SOUTH: "S",
+  EAST: "E",
+  WEST: "W",
+  NORTHEAST: "NE",
+  NORTHWEST: "NW",
+  SOUTHEAST: "SE",
+  SOUTHWEST: "SW"
+};
+
+function normalizeWords(value) {
+  return (value || "")
+    .toString()
+    .toUpperCase()
+    .replace(/[.,#]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => SUFFIXES[word] || word)
+    .join(" ");
+}
+
+export function normalizeUnit(unit) {
+  return normalizeWords(unit)
+    .replace(/^(APT|UNIT|STE|SUITE)\s*/, "")
+    .replace(/^0+(?=\w)/, "");
+}
+
+// Stable key for an address + unit pair, e.g. "123 MAIN ST MIAMI FL 33101|4B"
+export function normalizeAddress(address, unit) {
+  return `${normalizeWords(address)}|${normalizeUnit(unit)}`;
+}
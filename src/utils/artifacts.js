@@ -0,0 +1,45 @@
+// Debug screenshots of the FPL flow, written to ./artifacts. Loose files are cleared before each
+// lookup; subfolders (flow check screenshots) are kept
+import fs from "node:fs";
+import path from "node:path";
+import { log } from "./logger.js";
+
+const ARTIFACTS_DIR = path.join(process.cwd(), 'artifacts');
+
+export async function clearArtifacts() {
+  try {
+    if (fs.existsSync(ARTIFACTS_DIR)) {
+      const files = fs.readdirSync(ARTIFACTS_DIR, { withFileTypes: true }).filter(entry => entry.isFile());
+      for (const file of files) {
+        fs.unlinkSync(path.join(ARTIFACTS_DIR, file.name));
+      }
+      log.debug(`Cleared ${files.length} files from artifacts folder`);
+    }
+  } catch (error) {
+    log.debug('Error clearing artifacts folder:', error.message);
+  }
+}
+
+// Absolute path of a file returned by capture()
+export function artifactPath(file) {
+  return path.join(ARTIFACTS_DIR, file);
+}
+
+// Best-effort; returns the screenshot's path relative to ./artifacts, or null if it couldn't be taken
+export async function capture(page, label, { folder } = {}) {
+  try {
+    const dir = folder ? path.join(ARTIFACTS_DIR, folder) : ARTIFACTS_DIR;
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    // Black out credential fields so screenshots never contain a login or TIN
+    const mask = [
+      page.locator('input[type="password"]'),
+      page.locator('input[name*="user" i], input[id*="user" i], input[type="email"]'),
+      page.locator('input[name*="tin" i], input[id*="tin" i], input[placeholder*="TIN"]')
+    ];
+    const file = `${Date.now()}-${label}.png`;
+    await page.screenshot({ path: path.join(dir, file), fullPage: true, mask });
+    return folder ? path.posix.join(folder, file) : file;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,86 @@
+// Minimal 5-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in the server's local time zone (set TZ to change it).
+// Supports *, lists, ranges and steps, e.g. "0 6 * * 1" for every Monday at 6am.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: ${part}`);
+    const step = match[4] ? Number(match[4]) : 1;
+    let from = min;
+    let to = max;
+    if (match[1] !== '*') {
+      from = Number(match[2]);
+      // "5/15" means every 15 starting at 5
+      to = match[3] !== undefined ? Number(match[3]) : (match[4] ? max : from);
+    }
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+// Throws a message suitable for a 400 when the expression is invalid
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Invalid cron expression: expected 5 fields (minute hour day-of-month month day-of-week)');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is an alias for Sunday
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either one matching is enough
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const domMatch = cron.daysOfMonth.has(date.getDate());
+  const dowMatch = cron.daysOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth) return dowMatch;
+  if (cron.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+}
+
+// First matching minute strictly after `after`, or null if none within 5 years (e.g. "0 0 31 2 *")
+export function nextCronRun(cron, after = new Date()) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
@@ -40,4 +40,19 @@ export function buildAddressAndUnitFromRow(row) {
   return { address, unit: unit || undefined };
 }
 
+// Quote a value only when it needs it (RFC 4180)
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function formatCsvRow(values) {
+  return values.map(formatCsvValue).join(",") + "\r\n";
+}
 
+// CSV lines for a header and rows that may be produced lazily, one line at a time
+export function* formatCsvLines(columns, rows) {
+  yield formatCsvRow(columns);
+  for (const row of rows) yield formatCsvRow(row);
+}
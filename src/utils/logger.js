@@ -0,0 +1,119 @@
+// Leveled logger. Writes one JSON object per line (LOG_FORMAT=pretty for readable local output),
+// filtered by LOG_LEVEL (debug, info, warn, error; default info).
+//
+// Context set with withLogContext()/setLogContext() - jobId, rowIndex, step - is added to
+// every line logged inside it, including from deep in the Playwright flow. Credentials
+// registered with addLogSecrets() are masked wherever they appear, and fields named like
+// password/tin/username are always masked.
+import { AsyncLocalStorage } from 'node:async_hooks';
+import util from 'node:util';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+const pretty = process.env.LOG_FORMAT === 'pretty';
+
+const SENSITIVE_KEY = /^(password|passwd|pass|secret|tin|username|user|email|apikey|api_key|authorization|token|key)$/i;
+// TINs/EINs written as 12-3456789
+const TIN_PATTERN = /\b\d{2}-\d{7}\b/g;
+const REDACTED = '[REDACTED]';
+
+const contextStorage = new AsyncLocalStorage();
+
+// Runs fn with fields added to the current log context
+export function withLogContext(fields, fn) {
+  const parent = contextStorage.getStore();
+  return contextStorage.run({
+    fields: { ...parent?.fields, ...fields },
+    secrets: [...(parent?.secrets || [])]
+  }, fn);
+}
+
+// Updates the current context in place, e.g. the row or step a loop has moved on to
+export function setLogContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) Object.assign(store.fields, fields);
+}
+
+// Values (usernames, passwords, TINs) to mask in every line logged in the current context
+export function addLogSecrets(...values) {
+  const store = contextStorage.getStore();
+  if (!store) return;
+  for (const value of values) {
+    // Very short values would mask unrelated text
+    if (typeof value === 'string' && value.length >= 4) store.secrets.push(value);
+  }
+}
+
+function maskSecrets(text, secrets) {
+  let masked = text.replace(TIN_PATTERN, REDACTED);
+  for (const secret of secrets) {
+    masked = masked.split(secret).join(REDACTED);
+  }
+  return masked;
+}
+
+// Copy of value that is safe to log; strings are masked before serialization so escaping can't hide a secret
+function redactValue(value, secrets, depth = 0) {
+  if (typeof value === 'string') return maskSecrets(value, secrets);
+  if (value instanceof Error) {
+    return redactValue({ message: value.message, ...(threshold <= LEVELS.debug ? { stack: value.stack } : {}) }, secrets, depth);
+  }
+  if (Array.isArray(value)) {
+    return depth > 4 ? '[Array]' : value.map(v => redactValue(v, secrets, depth + 1));
+  }
+  if (value && typeof value === 'object') {
+    if (depth > 4) return '[Object]';
+    const copy = {};
+    for (const [key, v] of Object.entries(value)) {
+      copy[key] = SENSITIVE_KEY.test(key) && v ? REDACTED : redactValue(v, secrets, depth + 1);
+    }
+    return copy;
+  }
+  return value;
+}
+
+// Mirrors console.log: a trailing plain object becomes structured `data`, an Error becomes
+// `error`, and everything else is formatted into the message
+function write(level, message, args) {
+  if (LEVELS[level] < threshold) return;
+  const store = contextStorage.getStore();
+  const secrets = store?.secrets || [];
+  const rest = [...args];
+  let data;
+  let error;
+  const last = rest[rest.length - 1];
+  if (last instanceof Error) {
+    error = redactValue(rest.pop(), secrets);
+  } else if (last && typeof last === 'object' && !Array.isArray(last)) {
+    data = redactValue(rest.pop(), secrets);
+  }
+  const text = maskSecrets(rest.length
+    ? util.format(message, ...rest.map(v => (v && typeof v === 'object' ? redactValue(v, secrets) : v)))
+    : String(message), secrets);
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...Object.fromEntries(Object.entries(store?.fields || {}).filter(([, v]) => v !== null && v !== undefined)),
+    msg: text,
+    ...(data !== undefined ? { data } : {}),
+    ...(error !== undefined ? { error } : {})
+  };
+  let line;
+  if (pretty) {
+    const { time, level: _level, msg, data: entryData, error: entryError, ...context } = entry;
+    const contextText = Object.entries(context).map(([k, v]) => `${k}=${v}`).join(' ');
+    const extra = [entryData, entryError].filter(Boolean).map(v => util.inspect(v, { depth: 4, breakLength: Infinity }));
+    line = [time, level.toUpperCase().padEnd(5), contextText && `[${contextText}]`, msg, ...extra].filter(Boolean).join(' ');
+  } else {
+    line = JSON.stringify(entry);
+  }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+export const log = {
+  debug: (message, ...args) => write('debug', message, args),
+  info: (message, ...args) => write('info', message, args),
+  warn: (message, ...args) => write('warn', message, args),
+  error: (message, ...args) => write('error', message, args)
+};
@@ -0,0 +1,40 @@
+// Helpers for reading and validating query-string parameters.
+// Each returns undefined when the parameter is absent and throws a message suitable for a 400.
+
+// Accepts a full ISO timestamp or a plain YYYY-MM-DD date. A plain date used as an
+// upper bound covers the whole day.
+export function parseDateParam(value, name, { endOfDay = false } = {}) {
+  if (value === undefined || value === '') return undefined;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00.000Z` : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name}: expected an ISO date`);
+  }
+  if (dateOnly && endOfDay) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date.toISOString();
+}
+
+export function parseLimitParam(value, { defaultLimit, maxLimit }) {
+  if (value === undefined || value === '') return defaultLimit;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('Invalid limit: expected a positive integer');
+  }
+  return Math.min(limit, maxLimit);
+}
+
+export function parseListParam(value) {
+  if (value === undefined || value === '') return undefined;
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+export function parseNonNegativeNumberParam(value, name) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`Invalid ${name}: expected a number of 0 or more`);
+  }
+  return number;
+}
@@ -0,0 +1,18 @@
+// Requests-per-minute budget shared by every caller holding the same limiter. Calls are
+// spaced evenly (60s / perMinute apart) rather than let through in bursts, so concurrent
+// workers can't all hit the remote site in the same second. perMinute <= 0 means no limit.
+export function createRateLimiter(perMinute) {
+  const intervalMs = perMinute > 0 ? 60000 / perMinute : 0;
+  let nextSlotAt = 0;
+  return {
+    perMinute: intervalMs ? perMinute : null,
+    // Resolves when the caller may make its request
+    async acquire() {
+      if (!intervalMs) return;
+      const now = Date.now();
+      const slotAt = Math.max(now, nextSlotAt);
+      nextSlotAt = slotAt + intervalMs;
+      if (slotAt > now) await new Promise(resolve => setTimeout(resolve, slotAt - now));
+    }
+  };
+}
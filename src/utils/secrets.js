@@ -0,0 +1,34 @@
+// AES-256-GCM encryption for secrets stored in the database
+// The key is derived from CREDENTIALS_KEY, which must stay the same across restarts.
+import crypto from 'crypto';
+
+let cachedKey = null;
+
+function getKey() {
+  if (!process.env.CREDENTIALS_KEY) {
+    throw new Error("CREDENTIALS_KEY is not set; it is required to store credential profiles");
+  }
+  if (!cachedKey) {
+    cachedKey = crypto.scryptSync(process.env.CREDENTIALS_KEY, 'fpl-credential-profiles', 32);
+  }
+  return cachedKey;
+}
+
+// Returns "iv.tag.ciphertext", each part base64url
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+export function decryptSecret(payload) {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(tag);
+  try {
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch {
+    throw new Error("Could not decrypt stored credentials; was CREDENTIALS_KEY changed?");
+  }
+}
@@ -0,0 +1,12 @@
+// FPL isn't consistent about case or stray whitespace in status text
+export function sameStatus(a, b) {
+  return (a || "").trim().toLowerCase() === (b || "").trim().toLowerCase();
+}
+
+// Which of meterStatus/propertyStatus differ between two { meterStatus, propertyStatus } objects
+export function changedStatusFields(previous, current) {
+  const changedFields = [];
+  if (!sameStatus(previous.meterStatus, current.meterStatus)) changedFields.push("meterStatus");
+  if (!sameStatus(previous.propertyStatus, current.propertyStatus)) changedFields.push("propertyStatus");
+  return changedFields;
+}
@@ -0,0 +1,77 @@
+// Which FPL account a lookup selects, from the request body through to the account picker
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fpl-account-test-'));
+process.env.DATABASE_PATH = path.join(dir, 'test.sqlite');
+process.env.CREDENTIALS_KEY = 'test-key';
+process.env.LOG_LEVEL = 'error';
+
+const { ensureDatabase } = await import('../src/config/database.js');
+const { createCredentialProfile, resolveCredentials } = await import('../src/persistence/credentials.js');
+const { selectAccount } = await import('../src/services/batch.js');
+
+const CHOICES = [
+  { index: 0, name: 'Alpha Holdings', number: '1111111111' },
+  { index: 1, name: 'Beta Properties', number: '2222222222' }
+];
+
+// Just enough of a Playwright page for selectAccount: a picker offering CHOICES
+function pickerPage() {
+  const clicked = [];
+  return {
+    clicked,
+    waitForLoadState: async () => {},
+    waitForTimeout: async () => {},
+    evaluate: async () => CHOICES,
+    locator: () => ({ nth: (index) => ({ click: async () => clicked.push(CHOICES[index].name) }) })
+  };
+}
+
+async function lookupAccount(body, defaults) {
+  const credentials = resolveCredentials(ensureDatabase(), body, defaults);
+  const page = pickerPage();
+  await selectAccount(page, credentials.account);
+  return page.clicked;
+}
+
+const LOGIN = { username: 'user', password: 'secret', tin: '123456789' };
+
+before(() => {
+  process.env.FPL_ACCOUNT = 'Alpha';
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('selects the account from the body', async () => {
+  assert.deepEqual(await lookupAccount({ ...LOGIN, account: 'Beta' }), ['Beta Properties']);
+  assert.deepEqual(await lookupAccount({ ...LOGIN, account: '2222222222' }), ['Beta Properties']);
+});
+
+test('falls back to FPL_ACCOUNT without an account in the body', async () => {
+  assert.deepEqual(await lookupAccount(LOGIN), ['Alpha Holdings']);
+});
+
+test("prefers a profile's account to FPL_ACCOUNT", async () => {
+  const { credentialId } = createCredentialProfile(ensureDatabase(), { name: 'beta', ...LOGIN, account: 'Beta' });
+  assert.deepEqual(await lookupAccount({ credentialId }), ['Beta Properties']);
+  assert.deepEqual(await lookupAccount({ credentialId, account: 'Alpha' }), ['Alpha Holdings']);
+});
+
+test('uses the job account for resume and retry', async () => {
+  assert.deepEqual(await lookupAccount(LOGIN, { defaultAccount: 'Beta' }), ['Beta Properties']);
+});
+
+test('fails without any account when the picker has several', async () => {
+  delete process.env.FPL_ACCOUNT;
+  try {
+    await assert.rejects(lookupAccount(LOGIN), /can see 2 FPL accounts/);
+  } finally {
+    process.env.FPL_ACCOUNT = 'Alpha';
+  }
+});
@@ -0,0 +1,191 @@
+// The batch worker pool: in-order commits, pause, cancel and login hand-back, with FPL stubbed
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+
+process.env.BATCH_CONCURRENCY = '3';
+process.env.FPL_REQUESTS_PER_MINUTE = '0';
+process.env.LOG_LEVEL = 'error';
+
+const { runMigrations } = await import('../src/persistence/migrate.js');
+const { createJob } = await import('../src/persistence/jobs.js');
+const { startJobControl, endJobControl, requestPause, requestResume, requestCancel } = await import('../src/services/control.js');
+const { processRows } = await import('../src/services/batch.js');
+
+let db;
+
+before(() => {
+  db = new Database(':memory:');
+  runMigrations(db);
+});
+
+after(() => {
+  db.close();
+});
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+// The first failLogins logins throw; every lookup waits until the test finishes its address
+function stubFpl({ failLogins = 0 } = {}) {
+  const fpl = {
+    logins: 0,
+    lookups: new Map(),
+    open: async (session) => {
+      fpl.logins += 1;
+      if (failLogins > 0) {
+        failLogins -= 1;
+        throw new Error('Login failed');
+      }
+      session.browser = {};
+      session.page = { login: fpl.logins };
+    },
+    lookup: ({ address }) => {
+      const lookup = deferred();
+      fpl.lookups.set(address, lookup);
+      return lookup.promise;
+    },
+    close: async (session) => {
+      session.browser = null;
+      session.page = null;
+    }
+  };
+  return fpl;
+}
+
+function finish(fpl, rowIndex) {
+  fpl.lookups.get(`${rowIndex} A ST`).resolve({ meterStatus: 'On', propertyStatus: 'Active' });
+}
+
+async function until(condition) {
+  for (let i = 0; !condition(); i++) {
+    if (i === 1000) throw new Error('Timed out waiting for the workers');
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+// Lets finished lookups run through to their commit
+async function settle() {
+  for (let i = 0; i < 5; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+function startRun(jobId, count, fpl) {
+  const rows = Array.from({ length: count }, (_, i) => ({ ADDRESS_LI: `${i} A ST` }));
+  createJob(db, { jobId, rows });
+  const control = startJobControl(jobId);
+  const events = [];
+  const progress = { processed: 0 };
+  const run = processRows({
+    credentials: { username: 'user', password: 'secret' },
+    db,
+    jobId,
+    rows,
+    tin: '123456789',
+    // Earlier tests cache these addresses
+    maxAgeHours: 0,
+    control,
+    progress,
+    progressCallback: (_jobId, data) => events.push(data),
+    fpl
+  }).finally(() => endJobControl(jobId));
+  return { run, events, progress };
+}
+
+function savedRows(jobId) {
+  return db.prepare("SELECT row_index FROM results WHERE job_id = ? ORDER BY row_index").all(jobId).map(row => row.row_index);
+}
+
+function jobState(jobId) {
+  return { ...db.prepare("SELECT status, processed, next_row_index FROM jobs WHERE job_id = ?").get(jobId) };
+}
+
+function completedPositions(events) {
+  return events.filter(event => event.type === 'address_completed').map(event => event.processed);
+}
+
+test('commits rows in order when they finish out of order', async () => {
+  const fpl = stubFpl();
+  const { run, events } = startRun('out-of-order', 3, fpl);
+  await until(() => fpl.lookups.size === 3);
+
+  finish(fpl, 2);
+  finish(fpl, 1);
+  await settle();
+  assert.deepEqual(savedRows('out-of-order'), []);
+  assert.equal(jobState('out-of-order').next_row_index, 0);
+
+  finish(fpl, 0);
+  await run;
+  assert.deepEqual(savedRows('out-of-order'), [0, 1, 2]);
+  assert.deepEqual(completedPositions(events), [1, 2, 3]);
+  assert.deepEqual(jobState('out-of-order'), { status: 'running', processed: 3, next_row_index: 3 });
+});
+
+test('carries on with the other workers when one cannot log in', async () => {
+  const fpl = stubFpl({ failLogins: 1 });
+  const { run } = startRun('one-login-fails', 4, fpl);
+  // Worker 1 hands row 0 back; workers 2 and 3 have rows 1 and 2
+  await until(() => fpl.lookups.size === 2);
+  finish(fpl, 1);
+  finish(fpl, 2);
+  await until(() => fpl.lookups.size === 4);
+  finish(fpl, 0);
+  finish(fpl, 3);
+  await run;
+
+  assert.equal(fpl.logins, 3);
+  assert.deepEqual(savedRows('one-login-fails'), [0, 1, 2, 3]);
+  assert.deepEqual(jobState('one-login-fails'), { status: 'running', processed: 4, next_row_index: 4 });
+});
+
+test('fails once no worker can log in', async () => {
+  const fpl = stubFpl({ failLogins: 3 });
+  const { run } = startRun('no-login', 3, fpl);
+  await assert.rejects(run, /Login failed/);
+  assert.deepEqual(savedRows('no-login'), []);
+  assert.deepEqual(jobState('no-login'), { status: 'running', processed: 0, next_row_index: 0 });
+});
+
+test('pause saves rows finished ahead of the checkpoint and resume skips them', async () => {
+  const fpl = stubFpl({ failLogins: 1 });
+  const { run, events } = startRun('pause', 5, fpl);
+  await until(() => fpl.lookups.size === 2);
+  requestPause('pause');
+  finish(fpl, 1);
+  finish(fpl, 2);
+  await until(() => jobState('pause').status === 'paused');
+
+  // Row 0 went back to the queue, so the checkpoint stays before it
+  assert.deepEqual(savedRows('pause'), [1, 2]);
+  assert.deepEqual(jobState('pause'), { status: 'paused', processed: 2, next_row_index: 0 });
+
+  requestResume('pause');
+  await until(() => fpl.lookups.size === 5);
+  finish(fpl, 0);
+  finish(fpl, 3);
+  finish(fpl, 4);
+  await run;
+
+  assert.deepEqual(savedRows('pause'), [0, 1, 2, 3, 4]);
+  // Every row is saved exactly once
+  assert.deepEqual(completedPositions(events), [2, 3, 1, 4, 5]);
+  assert.deepEqual(jobState('pause'), { status: 'running', processed: 5, next_row_index: 5 });
+});
+
+test('cancel saves rows finished ahead of the checkpoint and looks up nothing more', async () => {
+  const fpl = stubFpl({ failLogins: 1 });
+  const { run, progress } = startRun('cancel', 4, fpl);
+  await until(() => fpl.lookups.size === 2);
+  requestCancel('cancel');
+  finish(fpl, 1);
+  finish(fpl, 2);
+  await run;
+
+  assert.equal(fpl.lookups.size, 2);
+  assert.equal(progress.processed, 2);
+  assert.deepEqual(savedRows('cancel'), [1, 2]);
+  assert.deepEqual(jobState('cancel'), { status: 'running', processed: 2, next_row_index: 0 });
+});
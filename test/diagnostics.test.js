@@ -0,0 +1,54 @@
+// When a flow check passes, warns or fails
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { evaluateFlowCheck } = await import('../src/services/diagnostics.js');
+
+function step(name, fields = {}) {
+  return { step: name, stage: null, optional: true, strategy: null, ok: true, skipped: false, error: null, ms: 0, ...fields };
+}
+
+const STATUS = { meterStatus: 'On', propertyStatus: 'Active' };
+
+test('passes with a warning when an optional step misses', () => {
+  const { steps, failed, error } = evaluateFlowCheck({
+    ...STATUS,
+    steps: [step('login', { optional: false }), step('addressNext', { ok: false, error: 'No strategy found the element' }), step('readMeterStatus')]
+  });
+  assert.equal(error, null);
+  assert.equal(failed, undefined);
+  assert.deepEqual(steps.map(s => s.warning ?? false), [false, true, false]);
+});
+
+test('passes when a step is skipped because the input does not need it', () => {
+  const { error } = evaluateFlowCheck({ ...STATUS, steps: [step('fillUnit', { ok: false, skipped: true })] });
+  assert.equal(error, null);
+});
+
+test('fails when a required step misses', () => {
+  const { failed, error } = evaluateFlowCheck({
+    ...STATUS,
+    steps: [step('businessContinue', { optional: false, ok: false, error: 'No strategy found the element' })]
+  });
+  assert.equal(failed.step, 'businessContinue');
+  assert.equal(error, 'Step businessContinue failed: No strategy found the element');
+});
+
+test('fails when a step is skipped because a step it requires missed', () => {
+  const { failed, error } = evaluateFlowCheck({
+    ...STATUS,
+    steps: [
+      step('confirmAddress', { ok: false, error: 'No strategy found the element' }),
+      step('waitForStatus', { ok: false, skipped: true, error: 'Requires confirmAddress, which did not complete' })
+    ]
+  });
+  assert.equal(failed.step, 'waitForStatus');
+  assert.equal(error, 'Step waitForStatus skipped: Requires confirmAddress, which did not complete');
+});
+
+test('fails when no status is read', () => {
+  const { error } = evaluateFlowCheck({ meterStatus: 'Not found', propertyStatus: 'Not found', steps: [step('readMeterStatus')] });
+  assert.equal(error, 'Every required step passed but no status was read');
+});
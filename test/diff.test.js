@@ -0,0 +1,55 @@
+// Job-to-job diff when the later job hasn't reached every row
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+
+process.env.LOG_LEVEL = 'error';
+
+const { runMigrations } = await import('../src/persistence/migrate.js');
+const { createJob } = await import('../src/persistence/jobs.js');
+const { saveResult } = await import('../src/persistence/results.js');
+const { buildAddressAndUnitFromRow } = await import('../src/utils/csv.js');
+const { diffJobs } = await import('../src/services/diff.js');
+
+const ROWS = [
+  { ADDRESS_LI: '1 A ST', CITY: 'MIAMI', STATE: 'FL', ZIP: '33101' },
+  { ADDRESS_LI: '2 B ST APT 4', CITY: 'MIAMI', STATE: 'FL', ZIP: '33101' },
+  { ADDRESS_LI: '3 C ST', CITY: 'MIAMI', STATE: 'FL', ZIP: '33101' }
+];
+
+let db;
+
+function saveStatus(jobId, rowIndex, meterStatus) {
+  const { address, unit } = buildAddressAndUnitFromRow(ROWS[rowIndex]);
+  saveResult(db, { jobId, rowIndex, address, unit, meterStatus, propertyStatus: 'Active', statusCapturedAt: new Date().toISOString() });
+}
+
+before(() => {
+  db = new Database(':memory:');
+  runMigrations(db);
+  createJob(db, { jobId: 'baseline', rows: ROWS });
+  ROWS.forEach((_, rowIndex) => saveStatus('baseline', rowIndex, 'On'));
+  // Still running: only the first row has a result
+  createJob(db, { jobId: 'running', rows: ROWS });
+  saveStatus('running', 0, 'Off');
+});
+
+after(() => {
+  db.close();
+});
+
+test('reports rows the later job has not reached as unresolved, not removed', () => {
+  const diff = diffJobs(db, 'baseline', 'running');
+  assert.deepEqual(diff.summary, { added: 0, removed: 0, changed: 1, unresolved: 2, unchanged: 0 });
+  assert.deepEqual(diff.changed[0].changedFields, ['meterStatus']);
+  assert.deepEqual(diff.unresolved.map(entry => [entry.unit, entry.old.processed, entry.new.processed, entry.new.rowIndex]), [
+    ['4', true, false, 1],
+    [null, true, false, 2]
+  ]);
+});
+
+test('compares the other way round too', () => {
+  const diff = diffJobs(db, 'running', 'baseline');
+  assert.deepEqual(diff.summary, { added: 0, removed: 0, changed: 1, unresolved: 2, unchanged: 0 });
+  assert.deepEqual(diff.unresolved.map(entry => entry.old.processed), [false, false]);
+});
@@ -0,0 +1,49 @@
+// Results export read page by page
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+
+process.env.LOG_LEVEL = 'error';
+
+const { runMigrations } = await import('../src/persistence/migrate.js');
+const { createJob } = await import('../src/persistence/jobs.js');
+const { saveResult } = await import('../src/persistence/results.js');
+const { iterateResultsExport } = await import('../src/services/export.js');
+
+// More than two pages
+const TOTAL = 1201;
+
+let db;
+
+before(() => {
+  db = new Database(':memory:');
+  runMigrations(db);
+  const rows = Array.from({ length: TOTAL }, (_, i) => ({ ADDRESS_LI: `${i} A ST`, ...(i === 7 ? { NOTE: 'extra' } : {}) }));
+  createJob(db, { jobId: 'job', rows });
+  // Every row but the last has a result
+  for (let i = 0; i < TOTAL - 1; i++) {
+    saveResult(db, { jobId: 'job', rowIndex: i, address: `${i} A ST`, meterStatus: 'On', propertyStatus: 'Active', statusCapturedAt: '2026-01-01T00:00:00.000Z' });
+  }
+});
+
+after(() => {
+  db.close();
+});
+
+test('exports every input row in order across pages', () => {
+  const { columns, rows } = iterateResultsExport(db, 'job');
+  assert.deepEqual(columns, ['ADDRESS_LI', 'NOTE', 'meter_status', 'property_status', 'status_captured_at', 'error']);
+  const exported = [...rows];
+  assert.equal(exported.length, TOTAL);
+  assert.deepEqual(exported.map(row => row[0]), Array.from({ length: TOTAL }, (_, i) => `${i} A ST`));
+  assert.deepEqual(exported[7], ['7 A ST', 'extra', 'On', 'Active', '2026-01-01T00:00:00.000Z', null]);
+  assert.equal(exported[TOTAL - 1][5], 'Not processed');
+});
+
+test('leaves the connection free between rows', () => {
+  const { rows } = iterateResultsExport(db, 'job');
+  rows.next();
+  // Would throw "This database connection is busy executing a query" with an open iterator
+  saveResult(db, { jobId: 'job', rowIndex: TOTAL - 1, address: `${TOTAL - 1} A ST`, meterStatus: 'Off', propertyStatus: 'Active' });
+  assert.equal([...rows].length, TOTAL - 1);
+});
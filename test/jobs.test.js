@@ -0,0 +1,40 @@
+// Job bookkeeping against a database migrated from scratch
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+
+process.env.LOG_LEVEL = 'error';
+
+const { runMigrations } = await import('../src/persistence/migrate.js');
+const { createJob, loadJobRows, searchJobs } = await import('../src/persistence/jobs.js');
+
+let db;
+
+before(() => {
+  db = new Database(':memory:');
+  runMigrations(db);
+});
+
+after(() => {
+  db.close();
+});
+
+test('creates a job with its credential profile, account and input rows', () => {
+  const rows = [{ ADDRESS_LI: '1 A ST' }, { ADDRESS_LI: '2 B ST' }];
+  createJob(db, { jobId: 'with-profile', rows, credentialId: 'profile-1', account: 'Alpha' });
+  createJob(db, { jobId: 'with-login', rows: rows.slice(0, 1) });
+
+  assert.deepEqual(loadJobRows(db, 'with-profile'), rows);
+  const job = db.prepare("SELECT status, total, processed, credential_id, account FROM jobs WHERE job_id = ?").get('with-profile');
+  assert.deepEqual({ ...job }, { status: 'running', total: 2, processed: 0, credential_id: 'profile-1', account: 'Alpha' });
+});
+
+test('lists jobs with their credential profile', () => {
+  const { jobs, total, nextCursor } = searchJobs(db, { sort: 'total', order: 'asc' });
+  assert.equal(total, 2);
+  assert.equal(nextCursor, null);
+  assert.deepEqual(jobs.map(job => [job.jobId, job.credentialId, job.account]), [
+    ['with-login', null, null],
+    ['with-profile', 'profile-1', 'Alpha']
+  ]);
+});